@@ -8,9 +8,18 @@
  * 2. set 'endpoints' at the Image Tools 'config' in example.html
  *   endpoints : {
  *      byFile: 'http://localhost:8008/uploadFile',
- *      byUrl: 'http://localhost:8008/fetchUrl'
+ *      byUrl: 'http://localhost:8008/fetchUrl',
+ *      byChunk: 'http://localhost:8008/uploadChunk',
+ *      resumable: 'http://localhost:8008/uploadResumable'
  *   }
  *
+ * To test resuming of interrupted uploads, make the server drop a part of requests:
+ *
+ *   $ FAIL_RATE=0.3 node dev/server.js
+ *
+ * 'http://localhost:8008/transcribe' is a stub speech-to-text service for the 'transcriber' config,
+ * it returns placeholder text with word timings without any external service
+ *
  */
 const http = require('http');
 const formidable = require('formidable');
@@ -20,9 +29,10 @@ const request = require('request');
 const crypto = require('crypto');
 
 class ServerExample {
-  constructor({port, fieldName}) {
+  constructor({port, fieldName, failRate}) {
     this.uploadDir = __dirname + '/\.tmp';
     this.fieldName = fieldName;
+    this.failRate = failRate || 0;
     this.server = http.createServer((req, res) => {
       this.onRequest(req, res);
     }).listen(port);
@@ -60,6 +70,20 @@ class ServerExample {
       case '/fetchUrl':
         this.fetchUrl(request, response);
         break;
+      case '/uploadChunk':
+        this.uploadChunk(request, response);
+        break;
+      case '/uploadResumable':
+        if (Math.random() < this.failRate) {
+          console.log('Dropping request to simulate network failure');
+          request.destroy();
+          return;
+        }
+        this.uploadResumable(request, response);
+        break;
+      case '/transcribe':
+        this.transcribe(request, response);
+        break;
     }
   }
 
@@ -137,6 +161,186 @@ class ServerExample {
       });
   }
 
+  /**
+   * Handles chunked uploading of a recording.
+   * 'chunk' action stores a part by its sequence number,
+   * 'finalize' action joins all parts into one file
+   * @param request
+   * @param response
+   */
+  uploadChunk(request, response) {
+    let responseJson = {
+      success: 0
+    };
+
+    this.getForm(request)
+      .then(({files, fields}) => {
+        const {action, sessionId} = fields;
+
+        if (!/^[\w-]+$/.test(sessionId)) {
+          throw new Error('Invalid session id');
+        }
+
+        if (action === 'chunk') {
+          const chunk = files[this.fieldName];
+          const sequence = parseInt(fields.sequence, 10);
+
+          fs.renameSync(chunk.path, this.chunkPath(sessionId, sequence));
+          responseJson.success = 1;
+
+          return;
+        }
+
+        if (action === 'finalize') {
+          const chunks = parseInt(fields.chunks, 10);
+          const extension = (fields.name || '').split('.').pop().replace(/\W/g, '') || 'webm';
+          const filename = this.uploadDir + '/' + sessionId + '.' + extension;
+
+          fs.writeFileSync(filename, '');
+
+          for (let sequence = 0; sequence < chunks; sequence++) {
+            const part = this.chunkPath(sessionId, sequence);
+
+            fs.appendFileSync(filename, fs.readFileSync(part));
+            fs.unlinkSync(part);
+          }
+
+          responseJson.success = 1;
+          responseJson.file = {
+            url: filename,
+            name: fields.name,
+            size: fs.statSync(filename).size
+          };
+        }
+      })
+      .catch((error) => {
+        console.log('Uploading error', error);
+      })
+      .finally(() => {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(responseJson));
+      });
+  }
+
+  /**
+   * Handles resumable uploading by byte ranges.
+   * 'status' action returns the number of received bytes,
+   * 'upload' action appends a range if it starts at this offset,
+   * 'finalize' action returns the complete file
+   * @param request
+   * @param response
+   */
+  uploadResumable(request, response) {
+    let responseJson = {
+      success: 0
+    };
+
+    this.getForm(request)
+      .then(({files, fields}) => {
+        const {action, uploadId} = fields;
+
+        if (!/^[\w-]+$/.test(uploadId)) {
+          throw new Error('Invalid upload id');
+        }
+
+        const partPath = this.uploadDir + '/' + uploadId + '.upload';
+        const received = () => fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+
+        switch (action) {
+          case 'status':
+            responseJson.success = 1;
+            responseJson.offset = received();
+            break;
+          case 'upload': {
+            const range = files[this.fieldName];
+
+            if (parseInt(fields.offset, 10) === received()) {
+              fs.appendFileSync(partPath, fs.readFileSync(range.path));
+            }
+            fs.unlinkSync(range.path);
+
+            responseJson.success = 1;
+            responseJson.offset = received();
+            break;
+          }
+          case 'finalize': {
+            const extension = (fields.name || '').split('.').pop().replace(/\W/g, '') || 'webm';
+            const filename = this.uploadDir + '/' + uploadId + '.' + extension;
+
+            if (received() !== parseInt(fields.size, 10)) {
+              throw new Error('Upload is not complete');
+            }
+
+            fs.renameSync(partPath, filename);
+
+            responseJson.success = 1;
+            responseJson.file = {
+              url: filename,
+              name: fields.name,
+              size: fs.statSync(filename).size
+            };
+            break;
+          }
+        }
+      })
+      .catch((error) => {
+        console.log('Uploading error', error);
+      })
+      .finally(() => {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(responseJson));
+      });
+  }
+
+  /**
+   * Stub transcription: accepts audio by file or by URL
+   * and returns placeholder words spread over its length
+   * @param request
+   * @param response
+   */
+  transcribe(request, response) {
+    let responseJson = {
+      success: 0
+    };
+
+    this.getForm(request)
+      .then(({files, fields}) => {
+        const audio = files[this.fieldName];
+        const source = audio ? audio.name || 'recording' : fields.url;
+        const name = String(source).split(/[?#]/)[0].split('/').filter(Boolean).pop() || 'audio';
+        const words = ['This', 'is', 'a', 'stub', 'transcript', 'of', name];
+
+        if (audio) {
+          fs.unlinkSync(audio.path);
+        }
+
+        responseJson.success = 1;
+        responseJson.text = words.join(' ');
+        responseJson.words = words.map((word, index) => ({
+          word,
+          start: index * 4 / 10,
+          end: (index * 4 + 3) / 10
+        }));
+      })
+      .catch((error) => {
+        console.log('Transcription error', error);
+      })
+      .finally(() => {
+        response.writeHead(200, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(responseJson));
+      });
+  }
+
+  /**
+   * Path of the stored chunk
+   * @param {string} sessionId - recording session
+   * @param {number} sequence - chunk number
+   * @return {string}
+   */
+  chunkPath(sessionId, sequence) {
+    return this.uploadDir + '/' + sessionId + '-' + sequence + '.part';
+  }
+
   /**
    * Accepts post form data
    * @param request
@@ -190,5 +394,6 @@ class ServerExample {
 
 new ServerExample({
   port: 8008,
-  fieldName: 'image'
+  fieldName: 'audio',
+  failRate: parseFloat(process.env.FAIL_RATE) || 0
 });
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * Helpers for working with recorded audio data:
+ * decoding, waveform peaks and metadata
+ */
+
+/**
+ * Number of waveform bars stored with the block
+ *
+ * @type {number}
+ */
+export const PEAKS_COUNT = 100;
+
+/**
+ * Sound kept around the detected speech when silence is trimmed, seconds
+ *
+ * @type {number}
+ */
+const SILENCE_PADDING = 0.25;
+
+/**
+ * Length of the window to measure level in when looking for silence, seconds
+ *
+ * @type {number}
+ */
+const LEVEL_WINDOW = 0.01;
+
+/**
+ * File extensions for audio containers
+ *
+ * @type {object<string, string>}
+ */
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/flac': 'flac',
+};
+
+/**
+ * Returns file extension for the passed mime-type, ignoring codecs parameter
+ *
+ * @param {string} mimeType - e.g. 'audio/webm;codecs=opus'
+ * @returns {string}
+ */
+export function getExtension(mimeType) {
+  const type = String(mimeType).split(';')[0].trim().toLowerCase();
+
+  return EXTENSIONS[type] || 'webm';
+}
+
+/**
+ * Returns Web Audio context constructor supported by the browser
+ *
+ * @returns {Function|undefined}
+ */
+export function getAudioContextClass() {
+  return window.AudioContext || window.webkitAudioContext;
+}
+
+/**
+ * Decodes audio file to the AudioBuffer
+ *
+ * @param {Blob} blob - audio file
+ * @returns {Promise<AudioBuffer>}
+ */
+export function decodeAudio(blob) {
+  const AudioContext = getAudioContextClass();
+
+  if (!AudioContext) {
+    return Promise.reject(new Error('Web Audio is not supported on your browser'));
+  }
+
+  return readAsArrayBuffer(blob)
+    .then((arrayBuffer) => new Promise((resolve, reject) => {
+      const context = new AudioContext();
+      const done = (callback) => (result) => {
+        context.close();
+        callback(result);
+      };
+
+      /**
+       * Callback form is used because Safari does not return a Promise here
+       */
+      context.decodeAudioData(arrayBuffer, done(resolve), done(reject));
+    }));
+}
+
+/**
+ * Computes compact waveform: max amplitude for each of the buckets
+ *
+ * @param {AudioBuffer} audioBuffer - decoded audio
+ * @param {number} count - number of buckets
+ * @returns {number[]} amplitudes from 0 to 1, rounded to 2 decimals
+ */
+export function computePeaks(audioBuffer, count = PEAKS_COUNT) {
+  const channels = [];
+
+  for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+    channels.push(audioBuffer.getChannelData(i));
+  }
+
+  const bucketSize = Math.max(1, Math.floor(audioBuffer.length / count));
+  const peaks = [];
+
+  for (let bucket = 0; bucket < count; bucket++) {
+    const start = bucket * bucketSize;
+    const end = Math.min(start + bucketSize, audioBuffer.length);
+    let peak = 0;
+
+    channels.forEach((samples) => {
+      for (let i = start; i < end; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+    });
+
+    peaks.push(Math.round(Math.min(peak, 1) * 100) / 100);
+  }
+
+  return peaks;
+}
+
+/**
+ * Collects metadata stored with the block: waveform, duration, type and size
+ *
+ * @param {Blob} blob - audio file
+ * @returns {Promise<{peaks: number[], duration: number, mimeType: string, size: number}>}
+ */
+export function getAudioInfo(blob) {
+  return decodeAudio(blob)
+    .then((audioBuffer) => ({
+      peaks: computePeaks(audioBuffer),
+      duration: Math.round(audioBuffer.duration * 1000) / 1000,
+      mimeType: blob.type,
+      size: blob.size,
+    }));
+}
+
+/**
+ * Finds where the sound starts and ends, ignoring silence around it
+ *
+ * @param {AudioBuffer} audioBuffer - decoded audio
+ * @param {number} threshold - RMS level from 0 to 1 below which audio is silent
+ * @returns {{start: number, end: number}|null} bounds in seconds with a small padding, null for silent audio
+ */
+export function findSoundBounds(audioBuffer, threshold) {
+  const windowSize = Math.max(1, Math.round(audioBuffer.sampleRate * LEVEL_WINDOW));
+  const channels = [];
+  let first = -1;
+  let last = -1;
+
+  for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+    channels.push(audioBuffer.getChannelData(i));
+  }
+
+  for (let start = 0; start < audioBuffer.length; start += windowSize) {
+    const end = Math.min(start + windowSize, audioBuffer.length);
+    let sum = 0;
+
+    channels.forEach((samples) => {
+      for (let i = start; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+    });
+
+    if (Math.sqrt(sum / ((end - start) * channels.length)) >= threshold) {
+      first = first < 0 ? start : first;
+      last = end;
+    }
+  }
+
+  if (first < 0) {
+    return null;
+  }
+
+  return {
+    start: Math.max(0, first / audioBuffer.sampleRate - SILENCE_PADDING),
+    end: Math.min(audioBuffer.duration, last / audioBuffer.sampleRate + SILENCE_PADDING),
+  };
+}
+
+/**
+ * Cuts decoded audio and encodes the kept part as WAV file
+ *
+ * @param {AudioBuffer} audioBuffer - decoded audio
+ * @param {number} start - kept part start in seconds
+ * @param {number} end - kept part end in seconds
+ * @returns {Blob}
+ */
+export function trimAudio(audioBuffer, start, end) {
+  const from = Math.max(0, Math.floor(start * audioBuffer.sampleRate));
+  const to = Math.min(audioBuffer.length, Math.ceil(end * audioBuffer.sampleRate));
+  const channels = [];
+
+  for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+    channels.push(audioBuffer.getChannelData(i).slice(from, to));
+  }
+
+  return encodeWav(channels, audioBuffer.sampleRate);
+}
+
+/**
+ * Joins decoded audio one after another and encodes the result as WAV file.
+ * Mono parts are duplicated to all channels when joined with stereo ones
+ *
+ * @param {AudioBuffer[]} audioBuffers - decoded parts with the same sample rate
+ * @returns {Blob}
+ */
+export function concatAudio(audioBuffers) {
+  const numberOfChannels = Math.max(...audioBuffers.map((audioBuffer) => audioBuffer.numberOfChannels));
+  const length = audioBuffers.reduce((sum, audioBuffer) => sum + audioBuffer.length, 0);
+  const channels = [];
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const samples = new Float32Array(length);
+    let offset = 0;
+
+    audioBuffers.forEach((audioBuffer) => {
+      samples.set(audioBuffer.getChannelData(Math.min(channel, audioBuffer.numberOfChannels - 1)), offset);
+      offset += audioBuffer.length;
+    });
+
+    channels.push(samples);
+  }
+
+  return encodeWav(channels, audioBuffers[0].sampleRate);
+}
+
+/**
+ * Reads Blob content
+ *
+ * @param {Blob} blob - file to read
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readAsArrayBuffer(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (event) => resolve(event.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Encodes PCM samples as 16-bit WAV file
+ *
+ * @param {Float32Array[]} channels - samples of each channel, from -1 to 1
+ * @param {number} sampleRate - samples per second
+ * @returns {Blob}
+ */
+export function encodeWav(channels, sampleRate) {
+  const numberOfChannels = channels.length;
+  const length = numberOfChannels ? channels[0].length : 0;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  /**
+   * RIFF header
+   */
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  /**
+   * Format chunk: PCM, interleaved channels
+   */
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  /**
+   * Data chunk
+   */
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new window.Blob([ view ], { type: 'audio/wav' });
+}
@@ -25,6 +25,8 @@
  *     endpoints: {
  *       byFile: 'http://localhost:8008/uploadFile',
  *       byUrl: 'http://localhost:8008/fetchUrl',
+ *       byChunk: 'http://localhost:8008/uploadChunk',
+ *       resumable: 'http://localhost:8008/uploadResumable',
  *     }
  *   },
  * },
@@ -33,19 +35,47 @@
 /**
  * @typedef {object} VoiceRecordData
  * @description Voice Tool's input and output data format
+ * @property {string} [title] - voice title
+ * @property {string} [caption] - voice caption
  * @property {boolean} withBorder - should audio be rendered with border
  * @property {boolean} withBackground - should audio be rendered with background
  * @property {boolean} stretched - should audio be stretched to full width of container
  * @property {object} file — Voice file data returned from backend
  * @property {string} file.url — audio URL
+ * @property {number[]} [file.peaks] — waveform amplitudes from 0 to 1, computed on the client
+ * @property {number} [file.duration] — duration in seconds
+ * @property {string} [file.mimeType] — audio mime-type
+ * @property {number} [file.size] — file size in bytes
+ * @property {string} [file.recordedAt] — ISO date of recording
+ * @property {string} [file.pending] — id of the recording kept on the device until it is uploaded
+ * @property {object} [original] — file data of the voice before trimming, restored by Undo trim
+ * @property {{id: string, time: number, label: string}[]} [originalMarkers] — markers of the voice before trimming, restored by Undo trim
+ * @property {string} [transcript] — text of the voice from config.transcriber, editable by the user
+ * @property {{word: string, start: number, end: number}[]} [transcriptWords] — word timings in seconds returned by the transcriber
+ * @property {{id: string, time: number, label: string}[]} [markers] — markers of the voice sorted by time in seconds
+ * @property {{id: string, name: string, file: object, original: object, originalMarkers: object[], transcript: string, markers: object[]}[]} [takes] — recorded takes, 'file' and the fields of {@link TAKE_FIELDS} are copies of the active one
+ * @property {string} [activeTake] — id of the active take
  */
 
 // eslint-disable-next-line
 import css from './index.css';
-import Ui from './ui';
+import Ui, { formatBytes } from './ui';
 import ToolboxIcon from './svg/toolbox.svg';
-import Uploader from './uploader';
+import Uploader, { generateId, isAcceptedType, FILE_TOO_LARGE, UNSUPPORTED_TYPE } from './uploader';
 import Recorder from './recorder';
+import Tunes from './tunes';
+import * as storage from './storage';
+import * as recovery from './recovery';
+import * as microphones from './microphones';
+import * as paste from './paste';
+import { concatAudio, decodeAudio, trimAudio } from './audio';
+
+/**
+ * Fields of the active take mirrored at the top level of the Block data next to 'file'
+ *
+ * @type {string[]}
+ */
+const TAKE_FIELDS = ['original', 'originalMarkers', 'transcript', 'transcriptWords', 'markers'];
 
 /**
  * @typedef {object} VoiceConfig
@@ -53,14 +83,47 @@ import Recorder from './recorder';
  * @property {object} endpoints - upload endpoints
  * @property {string} endpoints.byFile - upload by file
  * @property {string} endpoints.byUrl - upload by URL
+ * @property {string} [endpoints.byChunk] - stream recording by chunks while recording
+ * @property {string} [endpoints.resumable] - upload files by byte ranges that survive network drops
  * @property {string} field - field name for uploaded audio
- * @property {string} types - available mime-types
+ * @property {string} types - available mime-types, accept string of the Select file button and drag-n-drop
  * @property {object} additionalRequestData - any data to send with requests
  * @property {object} additionalRequestHeaders - allows to pass custom headers with Request
  * @property {string} buttonContent - overrides for Select File button
+ * @property {string} [titlePlaceholder] - placeholder for the title field
+ * @property {string} [captionPlaceholder] - placeholder for the caption field
  * @property {object} [uploader] - optional custom uploader
- * @property {function(File): Promise.<UploadResponseFormat>} [uploader.uploadByFile] - method that upload audio by File
+ * @property {function(File, {onProgress: Function, signal: AbortSignal}): Promise.<UploadResponseFormat>} [uploader.uploadByFile] - method that upload audio by File, may report sent bytes with onProgress(loaded, total) and stop on signal abort
  * @property {function(string): Promise.<UploadResponseFormat>} [uploader.uploadByUrl] - method that upload audio by URL
+ * @property {object} [resumable] - resumable uploading options
+ * @property {number} [resumable.chunkSize] - size of one range in bytes
+ * @property {number} [resumable.maxRetries] - attempts before uploading fails
+ * @property {number} [resumable.retryDelay] - delay before the first retry in ms, doubled on each next one
+ * @property {boolean} [offline] - keep recordings made offline on the device and upload them later, true by default
+ * @property {object} [recorder] - recording options
+ * @property {string} [recorder.engine] - 'auto', 'mediarecorder' or 'wav'
+ * @property {string[]} [recorder.mimeTypes] - containers to record, in order of preference
+ * @property {number} [recorder.audioBitsPerSecond] - audio bitrate passed to MediaRecorder
+ * @property {number} [recorder.timeslice] - length of recorded chunks in ms, 1000 by default, ignored by the WAV engine
+ * @property {boolean} [recorder.reviewBeforeUpload] - let the user keep, re-record or discard the recording before it is uploaded
+ * @property {number} [recorder.autoStopOnSilenceMs] - stop recording after this stretch of silence in ms, disabled by default
+ * @property {number} [recorder.silenceThreshold] - RMS level from 0 to 1 below which input is silent, 0.01 by default
+ * @property {boolean} [recorder.trimSilence] - cut silence at the start and the end of the recording, enabled with autoStopOnSilenceMs by default
+ * @property {number} [recorder.maxDurationMs] - stop recording at this duration in ms
+ * @property {number} [recorder.maxSizeBytes] - stop recording before it gets larger, also the limit for uploaded files
+ * @property {number} [recorder.limitWarningMs] - time before the limit when timer counts down, 10000 by default
+ * @property {MediaTrackConstraints} [recorder.constraints] - audio constraints for getUserMedia: echoCancellation, noiseSuppression, autoGainControl, channelCount, sampleRate
+ * @property {object} [recorder.processing] - Web Audio chain between the microphone and the recording engine
+ * @property {number} [recorder.processing.highPass] - high-pass filter cutoff in Hz
+ * @property {boolean|object} [recorder.processing.compressor] - true or DynamicsCompressor parameters
+ * @property {number} [recorder.processing.gain] - volume multiplier
+ * @property {string} [recorder.source] - 'microphone' by default, 'display' for tab or system audio, 'mixed' for both
+ * @property {function(): MediaStream|Promise<MediaStream>} [recorder.getStream] - stream supplied by the host app, used instead of the source
+ * @property {function((Blob|string), object): Promise<string|{text: string, words: object[]}>} [transcriber] - speech-to-text of the uploaded voice, receives Blob or URL when the Blob is unknown, and file data
+ * @property {object} [paste] - paste handling options, read once when the Editor is created
+ * @property {object<string, RegExp>} [paste.patterns] - patterns of pasted audio links, replace the default one
+ * @property {boolean|function(string): Blob|Promise<Blob>} [paste.dataUri] - false ignores audio pasted as data: URI, a function converts it to Blob
+ * @property {{name: string, icon: string, title: string, action: function(string): boolean}[]} [actions] - custom buttons in the settings menu, toggled when action returns true
  */
 
 /**
@@ -82,6 +145,29 @@ export default class VoiceRecord {
     return true;
   }
 
+  /**
+   * Sanitizer rules: title is plain text, caption keeps line breaks and inline formatting.
+   * Other fields are not HTML and are left as they are
+   *
+   * @returns {object}
+   */
+  static get sanitize() {
+    return {
+      title: {},
+      caption: {
+        br: true,
+      },
+      file: true,
+      original: true,
+      originalMarkers: true,
+      takes: true,
+      activeTake: true,
+      transcript: true,
+      transcriptWords: true,
+      markers: true,
+    };
+  }
+
   /**
    * Get Tool toolbox settings
    * icon - Tool icon's SVG
@@ -102,15 +188,78 @@ export default class VoiceRecord {
    * @param {VoiceConfig} tool.config - user config for Tool
    * @param {object} tool.api - Editor.js API
    * @param {boolean} tool.readOnly - read-only mode flag
+   * @param {object} [tool.block] - Block API, available since Editor.js 2.23
    */
   constructor({
     data,
     config,
     api,
-    readOnly
+    readOnly,
+    block,
   }) {
     this.api = api;
     this.readOnly = readOnly;
+    this.block = block;
+
+    /**
+     * Recording kept on the device until connection is back
+     *
+     * @type {{id: string, blob: Blob, url: string, info: object}|null}
+     */
+    this.pending = null;
+    this.isFlushing = false;
+    this.onOnline = () => this.flushPending();
+
+    /**
+     * Id of the recording kept in IndexedDB until it is uploaded, see {@link recovery}
+     *
+     * @type {string|null}
+     */
+    this.sessionId = null;
+    this.chunkSequence = 0;
+
+    /**
+     * Stopped recording waiting for the user's decision, see config.recorder.reviewBeforeUpload
+     *
+     * @type {{blob: Blob, url: string}|null}
+     */
+    this.review = null;
+
+    /**
+     * File data replaced by the trimmed voice being uploaded
+     *
+     * @type {object|null}
+     */
+    this.trimmedFrom = null;
+
+    /**
+     * Part of the voice kept by trimming, in seconds. Markers of the voice are cut to it once the trimmed voice is uploaded
+     *
+     * @type {{start: number, end: number}|null}
+     */
+    this.trimmedRange = null;
+
+    /**
+     * File data the recording in progress is appended to
+     *
+     * @type {object|null}
+     */
+    this.appendingTo = null;
+
+    /**
+     * Next upload replaces file of the active take instead of adding a new take:
+     * trimmed, appended or pending voice
+     *
+     * @type {boolean}
+     */
+    this.replacesActiveTake = false;
+
+    /**
+     * Markers added during the recording in progress, they go to its take when it is uploaded or queued
+     *
+     * @type {{id: string, time: number, label: string}[]}
+     */
+    this.recordingMarkers = [];
 
     /**
      * Tool's initial config
@@ -122,8 +271,14 @@ export default class VoiceRecord {
       field: config.field || 'audio',
       types: config.types || 'audio/*',
       buttonContent: config.buttonContent || '',
+      titlePlaceholder: this.api.i18n.t(config.titlePlaceholder || 'Title'),
+      captionPlaceholder: this.api.i18n.t(config.captionPlaceholder || 'Caption'),
       uploader: config.uploader || undefined,
       recorder: config.recorder || undefined,
+      resumable: config.resumable || undefined,
+      offline: config.offline !== false,
+      paste: config.paste || {},
+      transcriber: config.transcriber || undefined,
       actions: config.actions || [],
     };
 
@@ -132,8 +287,9 @@ export default class VoiceRecord {
      */
     this.uploader = new Uploader({
       config: this.config,
-      onUpload: (response) => this.onUpload(response),
+      onUpload: (response, blob) => this.onUpload(response, blob),
       onError: (error) => this.uploadingFailed(error),
+      onProgress: (loaded, total) => this.ui.updateProgress(loaded, total),
     });
 
     this.recorder = new Recorder({
@@ -141,8 +297,10 @@ export default class VoiceRecord {
       onError: (error) => this.onRecorderFailed(error),
       onStarted: () => this.onRecorderStarted(),
       onTogglePaused: (isPaused) => this.onRecorderTogglePaused(isPaused),
-      onUpdateTimer: (timer) => this.onRecorderUpdateTimer(timer),
-      onStopped: (blob) => this.onRecorderStopped(blob),
+      onUpdateTimer: (timer, isNearLimit) => this.onRecorderUpdateTimer(timer, isNearLimit),
+      onStopped: (blob, bounds) => this.onRecorderStopped(blob, bounds),
+      onChunk: (chunk) => this.onRecorderChunk(chunk),
+      onLimitReached: () => this.onRecorderLimitReached(),
     });
 
     /**
@@ -153,32 +311,331 @@ export default class VoiceRecord {
       config: this.config,
       toggleRecording: () => this.recorder.toggleRecording(),
       togglePauseRecording: () => this.recorder.togglePauseRecording(),
+      onSelectFile: () => this.selectFile(),
+      onDropFile: (file) => this.uploadFile(file),
+      cancelUploading: () => this.cancelUploading(),
+      startTrimming: () => this.startTrimming(),
+      undoTrimming: () => this.undoTrimming(),
+      startAppending: () => this.startAppending(),
+      startNewTake: () => this.startNewTake(),
+      takes: {
+        onSelect: (id) => this.selectTake(id),
+        onRename: (id, name) => this.renameTake(id, name),
+        onDelete: (id) => this.deleteTake(id),
+      },
+      markers: {
+        onAdd: () => this.addMarker(),
+        onRename: (id, label) => this.renameMarker(id, label),
+        onDelete: (id) => this.deleteMarker(id),
+      },
+      addRecordingMarker: () => this.addRecordingMarker(),
+      selectMicrophone: (deviceId) => this.recorder.setMicrophone(deviceId),
+      changeTranscript: (text) => this.changeTranscript(text),
       readOnly,
     });
 
+    /**
+     * Module for working with tunes
+     */
+    this.tunes = new Tunes({
+      api,
+      actions: this.config.actions,
+      onChange: (tuneName) => this.tuneToggled(tuneName),
+    });
+
     /**
      * Set saved state
      */
     this._data = {};
     this.data = data;
+
+    if (!readOnly && !this._data.file.url && !this._data.file.pending && recovery.isSupported()) {
+      this.checkRecovery();
+    }
+
+    /**
+     * Microphones list is updated when devices are plugged or unplugged
+     */
+    this.stopWatchingMicrophones = () => {};
+
+    if (!readOnly && microphones.isSupported() && this.recorder.usesMicrophone) {
+      this.refreshMicrophones();
+      this.stopWatchingMicrophones = microphones.onChange(() => this.refreshMicrophones());
+    }
+  }
+
+  /**
+   * Fills microphone selector with connected devices
+   *
+   * @private
+   * @returns {void}
+   */
+  refreshMicrophones() {
+    microphones.list(this.api.i18n.t.bind(this.api.i18n))
+      .then((devices) => this.ui.setMicrophones(devices, microphones.getSaved()))
+      .catch((error) => console.log('Voice Tool: microphones are not listed because of', error));
   }
 
+  /**
+   * Prepares chunked uploading, recovery and UI of the started recording
+   *
+   * @returns {void}
+   */
   onRecorderStarted() {
+    /**
+     * Recording under review must not reach the server before it is kept,
+     * recording with trimmed silence or appended to the voice differs from the streamed chunks
+     */
+    const { reviewBeforeUpload, trimSilence } = this.recorder.options;
+
+    if (this.uploader.isChunked && navigator.onLine && !reviewBeforeUpload && !trimSilence && !this.appendingTo) {
+      this.uploader.startChunkSession();
+    }
+
+    if (recovery.isSupported()) {
+      this.ui.hideRecoveryPrompt();
+      this.sessionId = recovery.startSession(this.recorder.mimeType);
+      this.chunkSequence = 0;
+    }
+
+    this.recordingMarkers = [];
+    this.ui.setRecordingMarkers(0);
     this.ui.setActive(true);
+    this.ui.startMeter(this.recorder.recordingStream);
+
+    /**
+     * Device labels are available once the permission is granted
+     */
+    if (this.recorder.usesMicrophone) {
+      this.refreshMicrophones();
+    }
   }
 
-  onRecorderUpdateTimer(value) {
-    this.ui.updateTimer(value);
+  /**
+   * Shows recording time, or the countdown when the limit is close
+   *
+   * @private
+   * @param {string} value - formatted time
+   * @param {boolean} isNearLimit - is the limit close
+   * @returns {void}
+   */
+  onRecorderUpdateTimer(value, isNearLimit) {
+    this.ui.updateTimer(value, isNearLimit);
   }
 
-  onRecorderStopped(blob) {
-    this.uploader.uploadAudioBlob(blob, {
-      onPreview: (src) => {
-        this.ui.showPreloader(src);
+  /**
+   * Tells why recording has stopped by itself
+   *
+   * @private
+   * @returns {void}
+   */
+  onRecorderLimitReached() {
+    this.api.notifier.show({
+      message: this.api.i18n.t('Recording stopped: maximum length reached.'),
+    });
+  }
+
+  /**
+   * Passes recorded chunk to the chunked uploading and keeps it for recovery
+   *
+   * @private
+   * @param {Blob} chunk - recorded chunk
+   * @returns {void}
+   */
+  onRecorderChunk(chunk) {
+    this.uploader.uploadChunk(chunk);
+
+    if (this.sessionId) {
+      recovery.saveChunk(this.sessionId, this.chunkSequence++, chunk);
+    }
+  }
+
+  /**
+   * Handles finished recording: joins it to the voice or passes it to the review or uploading
+   *
+   * @private
+   * @param {Blob} blob - recorded audio
+   * @param {{start: number, end: number}|null} [bounds] - part of the recording kept by silence trimming, in seconds
+   * @returns {void}
+   */
+  onRecorderStopped(blob, bounds) {
+    this.ui.setActive(false);
+    this.ui.toggleNewTake(false);
+
+    if (bounds) {
+      const offset = this.appendingTo ? this.appendingTo.duration || 0 : 0;
+
+      this.recordingMarkers = trimMarkers(this.recordingMarkers, bounds.start, bounds.end, offset);
+    }
+
+    if (this.appendingTo) {
+      this.ui.toggleAppending(false);
+      this.ui.showPreloader();
+      this.joinRecording(this.appendingTo, blob)
+        .then((joined) => this.handleRecording(joined))
+        .catch((error) => {
+          this.appendingTo = null;
+          this.uploadingFailed(error);
+        });
+
+      return;
+    }
+
+    this.handleRecording(blob);
+  }
+
+  /**
+   * Passes finished recording to the review or uploads it
+   *
+   * @private
+   * @param {Blob} blob - recorded audio
+   * @returns {void}
+   */
+  handleRecording(blob) {
+    if (this.recorder.options.reviewBeforeUpload) {
+      this.startReview(blob);
+    } else {
+      this.uploadRecording(blob);
+    }
+  }
+
+  /**
+   * Lets the user listen to the recording before it is uploaded
+   *
+   * @private
+   * @param {Blob} blob - recorded audio
+   * @returns {void}
+   */
+  startReview(blob) {
+    this.review = {
+      blob,
+      url: URL.createObjectURL(blob),
+    };
+
+    this.ui.fillVoice(this.review.url);
+    this.ui.showReview({
+      onKeep: () => {
+        const { blob: recorded } = this.finishReview();
+
+        this.uploadRecording(recorded);
+      },
+      onRerecord: () => {
+        const isAppending = !!this.appendingTo;
+
+        this.discardRecording();
+
+        if (isAppending) {
+          this.startAppending();
+        } else if (this._data.file.url) {
+          this.startNewTake();
+        } else {
+          this.recorder.startRecording();
+        }
       },
+      onDiscard: () => this.discardRecording(),
     });
   }
 
+  /**
+   * Closes review state and returns reviewed recording
+   *
+   * @private
+   * @returns {{blob: Blob, url: string}}
+   */
+  finishReview() {
+    const review = this.review;
+
+    this.review = null;
+    this.ui.hideReview();
+    URL.revokeObjectURL(review.url);
+
+    return review;
+  }
+
+  /**
+   * Throws away reviewed recording, nothing is uploaded
+   *
+   * @private
+   * @returns {void}
+   */
+  discardRecording() {
+    this.finishReview();
+    this.finishSession();
+    this.appendingTo = null;
+    this.trimmedRange = null;
+    this.recordingMarkers = [];
+
+    if (this._data.file && this._data.file.url) {
+      this.restoreVoice();
+    } else {
+      this.ui.removeVoice();
+    }
+  }
+
+  /**
+   * Records new segment that is joined to the end of the voice
+   *
+   * @private
+   * @returns {void}
+   */
+  startAppending() {
+    /**
+     * Reviewed recording is not uploaded yet, there is nothing to append to
+     */
+    if (this.review) {
+      return;
+    }
+
+    this.appendingTo = this._data.file;
+    this.ui.toggleAppending(true);
+    this.recorder.startRecording((this._data.file.duration || 0) * 1000);
+  }
+
+  /**
+   * Joins recorded segment to the end of the voice.
+   * Result is re-encoded as WAV file
+   *
+   * @private
+   * @param {object} file - file data of the voice
+   * @param {Blob} blob - recorded segment
+   * @returns {Promise<Blob>}
+   */
+  joinRecording(file, blob) {
+    return fetch(file.url)
+      .then((response) => response.blob())
+      .then((existing) => Promise.all([decodeAudio(existing), decodeAudio(blob)]))
+      .then((audioBuffers) => concatAudio(audioBuffers));
+  }
+
+  /**
+   * Uploads recorded audio: by chunks, by file or keeps it on the device while offline
+   *
+   * @private
+   * @param {Blob} blob - recorded audio
+   * @returns {void}
+   */
+  uploadRecording(blob) {
+    this.replacesActiveTake = !!this.appendingTo;
+    this.appendingTo = null;
+
+    const onPreview = (src) => {
+      this.ui.showPreloader(src);
+    };
+
+    if (this.config.offline && !navigator.onLine && storage.isSupported()) {
+      this.uploader.cancelChunkSession();
+      this.queueRecording(blob);
+
+      return;
+    }
+
+    if (this.uploader.isChunked) {
+      this.uploader.finishChunkSession(blob, { onPreview });
+    } else {
+      this.uploader.uploadAudioBlob(blob, { onPreview });
+    }
+  }
+
   onRecorderTogglePaused(value) {
     this.ui.togglePaused(value);
   }
@@ -202,9 +659,43 @@ export default class VoiceRecord {
    * @returns {VoiceRecordData}
    */
   save() {
+    if (!this.readOnly) {
+      this._data.title = this.ui.nodes.title.innerHTML;
+      this._data.caption = this.ui.nodes.caption.innerHTML;
+    }
+
     return this.data;
   }
 
+  /**
+   * Releases resources when Block is removed
+   *
+   * @public
+   * @returns {void}
+   */
+  destroy() {
+    window.removeEventListener('online', this.onOnline);
+    this.stopWatchingMicrophones();
+    this.recorder.cancelRecording();
+    this.ui.destroy();
+    this.uploader.cancel();
+
+    /**
+     * Unfinished recording can be recovered by the re-rendered Block
+     */
+    if (this.sessionId) {
+      recovery.releaseSession(this.sessionId);
+    }
+
+    if (this.pending) {
+      URL.revokeObjectURL(this.pending.url);
+    }
+
+    if (this.review) {
+      URL.revokeObjectURL(this.review.url);
+    }
+  }
+
   /**
    * Makes buttons with tunes: add background, add border, stretch audio
    *
@@ -212,6 +703,9 @@ export default class VoiceRecord {
    *
    * @returns {Element}
    */
+  renderSettings() {
+    return this.tunes.render(this.data);
+  }
 
   /**
    * Fires after clicks on the Toolbox Voice Icon
@@ -223,6 +717,20 @@ export default class VoiceRecord {
     // this.ui.nodes.fileButton.click();
   }
 
+  /**
+   * Reads paste patterns from the Tool's config.
+   * Editor.js calls it before it collects pasteConfig of the Tools
+   *
+   * @param {object} params - prepare params
+   * @param {VoiceConfig} params.config - user config for Tool
+   * @returns {void}
+   */
+  static prepare({ config }) {
+    VoiceRecord.pastePatterns = config && config.paste && config.paste.patterns
+      ? config.paste.patterns
+      : paste.DEFAULT_PATTERNS;
+  }
+
   /**
    * Specify paste substitutes
    *
@@ -232,16 +740,18 @@ export default class VoiceRecord {
   static get pasteConfig() {
     return {
       /**
-       * Paste HTML into Editor
+       * Paste HTML into Editor: <audio src>, <audio> with <source> and <source> alone.
+       * Sanitizer keeps only declared attributes, so src must be listed for both tags
        */
-      tags: ['img'],
+      tags: [ {
+        audio: { src: true },
+        source: { src: true },
+      } ],
 
       /**
        * Paste URL of audio into the Editor
        */
-      patterns: {
-        audio: /https?:\/\/\S+\.(mp3|wav|ogg)$/i,
-      },
+      patterns: VoiceRecord.pastePatterns || paste.DEFAULT_PATTERNS,
 
       /**
        * Drag n drop file from into the Editor
@@ -264,18 +774,29 @@ export default class VoiceRecord {
   async onPaste(event) {
     switch (event.type) {
       case 'tag': {
-        const audio = event.detail.data;
+        const src = paste.getSource(event.detail.data);
 
-        /** Voices from PDF */
-        if (/^blob:/.test(audio.src)) {
-          const response = await fetch(audio.src);
-          const file = await response.blob();
+        if (!src) {
+          this.uploadingFailed(new Error('pasted audio has no source'));
+          break;
+        }
 
-          this.uploadFile(file);
+        /** Voices from PDF and audio embedded into the page */
+        if (/^blob:/.test(src) || paste.isDataUri(src)) {
+          if (paste.isDataUri(src) && this.config.paste.dataUri === false) {
+            this.uploadingFailed(new Error('audio pasted as data: URI is disabled'));
+            break;
+          }
+
+          try {
+            this.uploadFile(await paste.toFile(src, this.config.paste.dataUri));
+          } catch (error) {
+            this.uploadingFailed(error);
+          }
           break;
         }
 
-        this.uploadUrl(audio.src);
+        this.uploadUrl(src);
         break;
       }
       case 'pattern': {
@@ -306,8 +827,47 @@ export default class VoiceRecord {
    * @param {VoiceRecordData} data - data in Voice Tool format
    */
   set data(data) {
-    this.audio = data.file;
+    const file = data.file || {};
+
+    this._data.takes = Array.isArray(data.takes) ? data.takes : [];
+
+    /**
+     * Data saved before takes were introduced becomes the first take
+     */
+    if (!this._data.takes.length && (file.url || file.pending)) {
+      const take = {
+        id: generateId(),
+        name: `${this.api.i18n.t('Take')} 1`,
+        file,
+      };
+
+      TAKE_FIELDS.filter((field) => data[field]).forEach((field) => {
+        take[field] = data[field];
+      });
+
+      this._data.takes.push(take);
+    }
+
+    const take = this._data.takes.find(({ id }) => id === data.activeTake) || this._data.takes[0];
+
+    this._data.activeTake = take ? take.id : null;
+
+    if (take) {
+      this.loadTakeFields(take);
+    }
 
+    this.audio = take ? take.file : file;
+
+    this._data.title = data.title || '';
+    this._data.caption = data.caption || '';
+    this.ui.fillTitle(this._data.title);
+    this.ui.fillCaption(this._data.caption);
+
+    Tunes.tunes.concat(this.config.actions).forEach(({ name: tune }) => {
+      const value = typeof data[tune] !== 'undefined' ? data[tune] === true || data[tune] === 'true' : false;
+
+      this.setTune(tune, value);
+    });
   }
 
   /**
@@ -330,56 +890,822 @@ export default class VoiceRecord {
    */
   set audio(file) {
     this._data.file = file || {};
+    this.syncActiveTake();
+    this.ui.toggleUndoTrim(!!this._data.original);
 
     if (file && file.url) {
-      this.ui.fillVoice(file.url);
+      this.ui.fillVoice(file.url, file);
+    } else if (file && file.pending) {
+      this.restorePending(file);
     }
   }
 
   /**
-   * File uploading callback
+   * Active take data
    *
    * @private
+   * @returns {{id: string, name: string, file: object, original: object, transcript: string}|null}
+   */
+  get activeTake() {
+    return this._data.takes.find(({ id }) => id === this._data.activeTake) || null;
+  }
+
+  /**
+   * Copies file, original and transcript of the Block to the active take and updates the takes list
    *
-   * @param {UploadResponseFormat} response - uploading server response
+   * @private
    * @returns {void}
    */
-  onUpload(response) {
-    if (response.success && response.file) {
-      this.audio = response.file;
-    } else {
-      this.uploadingFailed('incorrect response: ' + JSON.stringify(response));
+  syncActiveTake() {
+    const take = this.activeTake;
+
+    if (take) {
+      take.file = this._data.file;
+
+      TAKE_FIELDS.forEach((field) => {
+        if (this._data[field]) {
+          take[field] = this._data[field];
+        } else {
+          delete take[field];
+        }
+      });
     }
-  }
 
-  onRecorderFailed(errorText) {
-    console.log('Voice Tool: recording failed because of', errorText);
-    this.api.notifier.show({
-      message: this.api.i18n.t('Couldn’t record. please give permission.'),
-      style: 'error',
-    });
-    this.ui.togglePaused(false);
-    this.ui.setActive(false);
-    this.ui.hidePreloader();
+    this.ui.renderTakes(this._data.takes, this._data.activeTake);
+    this.ui.setTranscript(this._data.transcript || '');
+    this.ui.renderMarkers(this._data.markers || []);
   }
 
   /**
-   * Handle uploader errors
+   * Puts original and transcript of the take to the top level of the Block data
    *
    * @private
-   * @param {string} errorText - uploading error text
+   * @param {{original: object, transcript: string}} take - take becoming active
    * @returns {void}
    */
-  uploadingFailed(errorText) {
-    console.log('Voice Tool: uploading failed because of', errorText);
-
+  loadTakeFields(take) {
+    TAKE_FIELDS.forEach((field) => {
+      if (take[field]) {
+        this._data[field] = take[field];
+      } else {
+        delete this._data[field];
+      }
+    });
+  }
+
+  /**
+   * Prepares the take for uploaded or queued file:
+   * adds a new active take unless the upload replaces the active one
+   *
+   * @private
+   * @returns {void}
+   */
+  prepareTake() {
+    if (!this.replacesActiveTake || !this.activeTake) {
+      const take = {
+        id: generateId(),
+        name: `${this.api.i18n.t('Take')} ${this._data.takes.length + 1}`,
+        file: {},
+      };
+
+      this._data.takes.push(take);
+      this._data.activeTake = take.id;
+      TAKE_FIELDS.forEach((field) => delete this._data[field]);
+    }
+
+    this.replacesActiveTake = false;
+
+    /**
+     * Appended recording keeps markers of the voice, its own ones are already shifted by the timer offset
+     */
+    if (this.recordingMarkers.length) {
+      this._data.markers = sortMarkers((this._data.markers || []).concat(this.recordingMarkers));
+      this.recordingMarkers = [];
+    }
+  }
+
+  /**
+   * Makes the take active: it is shown in the player and saved as 'file'
+   *
+   * @private
+   * @param {string} id - take id
+   * @returns {void}
+   */
+  selectTake(id) {
+    const take = this._data.takes.find((item) => item.id === id);
+
+    if (!take) {
+      return;
+    }
+
+    this._data.activeTake = take.id;
+    this.loadTakeFields(take);
+    this.audio = take.file;
+    this.notifyChange();
+  }
+
+  /**
+   * Changes take name
+   *
+   * @private
+   * @param {string} id - take id
+   * @param {string} name - new name
+   * @returns {void}
+   */
+  renameTake(id, name) {
+    const take = this._data.takes.find((item) => item.id === id);
+
+    if (take) {
+      take.name = name;
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Removes the take. The first remaining one becomes active when the active take is removed
+   *
+   * @private
+   * @param {string} id - take id
+   * @returns {void}
+   */
+  deleteTake(id) {
+    this._data.takes = this._data.takes.filter((take) => take.id !== id);
+
+    if (id !== this._data.activeTake) {
+      this.ui.renderTakes(this._data.takes, this._data.activeTake);
+      this.notifyChange();
+
+      return;
+    }
+
+    if (this._data.takes.length) {
+      this.selectTake(this._data.takes[0].id);
+
+      return;
+    }
+
+    this._data.activeTake = null;
+    TAKE_FIELDS.forEach((field) => delete this._data[field]);
+    this.audio = {};
+    this.ui.removeVoice();
+    this.notifyChange();
+  }
+
+  /**
+   * Records a new take under the filled voice
+   *
+   * @private
+   * @returns {void}
+   */
+  startNewTake() {
+    /**
+     * Reviewed recording would be lost
+     */
+    if (this.review) {
+      return;
+    }
+
+    this.ui.toggleNewTake(true);
+    this.recorder.startRecording();
+  }
+
+  /**
+   * Adds marker at the playback position of the voice and focuses its label
+   *
+   * @private
+   * @returns {void}
+   */
+  addMarker() {
+    const marker = this.createMarker(this.ui.playbackTime, (this._data.markers || []).length);
+
+    this._data.markers = sortMarkers((this._data.markers || []).concat(marker));
+    this.syncActiveTake();
+    this.notifyChange();
+    this.ui.focusMarker(marker.id);
+  }
+
+  /**
+   * Adds marker at the recording time to the recording in progress
+   *
+   * @private
+   * @returns {void}
+   */
+  addRecordingMarker() {
+    if (!this.recorder.isRecording) {
+      return;
+    }
+
+    const count = (this.appendingTo && this._data.markers ? this._data.markers.length : 0) + this.recordingMarkers.length;
+
+    this.recordingMarkers.push(this.createMarker(this.recorder.elapsedMs / 1000, count));
+    this.ui.setRecordingMarkers(this.recordingMarkers.length);
+  }
+
+  /**
+   * Composes marker with the default numbered label
+   *
+   * @private
+   * @param {number} time - marker position in seconds
+   * @param {number} count - number of markers before it
+   * @returns {{id: string, time: number, label: string}}
+   */
+  createMarker(time, count) {
+    return {
+      id: generateId(),
+      time: Math.round(time * 100) / 100,
+      label: `${this.api.i18n.t('Marker')} ${count + 1}`,
+    };
+  }
+
+  /**
+   * Changes marker label
+   *
+   * @private
+   * @param {string} id - marker id
+   * @param {string} label - new label
+   * @returns {void}
+   */
+  renameMarker(id, label) {
+    const marker = (this._data.markers || []).find((item) => item.id === id);
+
+    if (marker) {
+      marker.label = label;
+      this.syncActiveTake();
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Removes the marker
+   *
+   * @private
+   * @param {string} id - marker id
+   * @returns {void}
+   */
+  deleteMarker(id) {
+    this._data.markers = (this._data.markers || []).filter((marker) => marker.id !== id);
+
+    if (!this._data.markers.length) {
+      delete this._data.markers;
+    }
+
+    this.syncActiveTake();
+    this.notifyChange();
+  }
+
+  /**
+   * Opens the trim editor for the reviewed or uploaded voice
+   *
+   * @private
+   * @returns {void}
+   */
+  startTrimming() {
+    const source = this.review
+      ? Promise.resolve(this.review.blob)
+      : fetch(this._data.file.url).then((response) => response.blob());
+
+    source
+      .then((blob) => decodeAudio(blob))
+      .then((audioBuffer) => {
+        this.ui.showTrimmer(audioBuffer, {
+          onApply: (start, end) => {
+            this.ui.hideTrimmer();
+            this.applyTrimming(trimAudio(audioBuffer, start, end), start, end);
+          },
+          onCancel: () => {
+            this.ui.hideTrimmer();
+            this.restoreVoice();
+          },
+        });
+      })
+      .catch((error) => {
+        console.log('Voice Tool: trimming is not available because of', error);
+        this.api.notifier.show({
+          message: this.api.i18n.t('Couldn’t open the recording for trimming.'),
+          style: 'error',
+        });
+      });
+  }
+
+  /**
+   * Replaces the voice with its trimmed part.
+   * Reviewed recording is replaced in place, uploaded one is uploaded again
+   * and its file data is kept for Undo trim
+   *
+   * @private
+   * @param {Blob} blob - trimmed audio
+   * @param {number} start - start of the kept part in seconds
+   * @param {number} end - end of the kept part in seconds
+   * @returns {void}
+   */
+  applyTrimming(blob, start, end) {
+    if (this.review) {
+      URL.revokeObjectURL(this.review.url);
+      this.review = {
+        blob,
+        url: URL.createObjectURL(blob),
+      };
+      this.recordingMarkers = trimMarkers(this.recordingMarkers, start, end);
+
+      /**
+       * Appended recording is reviewed joined with the voice, so the voice markers are cut as well.
+       * Ranges of repeated trims are counted from the start of the voice
+       */
+      if (this.appendingTo) {
+        const offset = this.trimmedRange ? this.trimmedRange.start : 0;
+
+        this.trimmedRange = {
+          start: offset + start,
+          end: offset + end,
+        };
+      }
+
+      this.ui.fillVoice(this.review.url);
+
+      return;
+    }
+
+    this.trimmedFrom = this._data.file;
+    this.trimmedRange = {
+      start,
+      end,
+    };
+    this.replacesActiveTake = true;
+    this.uploader.uploadAudioBlob(blob, {
+      onPreview: (src) => {
+        this.ui.showPreloader(src);
+      },
+    });
+  }
+
+  /**
+   * Returns to the voice as it was before the first trim, with its markers
+   *
+   * @private
+   * @returns {void}
+   */
+  undoTrimming() {
+    const original = this._data.original;
+
+    if (!original) {
+      return;
+    }
+
+    delete this._data.original;
+
+    if (this._data.originalMarkers) {
+      this._data.markers = this._data.originalMarkers;
+      delete this._data.originalMarkers;
+    } else {
+      delete this._data.markers;
+    }
+
+    this.audio = original;
+    this.notifyChange();
+  }
+
+  /**
+   * Shows the voice the Block has now: reviewed recording, uploaded file or the empty state
+   *
+   * @private
+   * @returns {void}
+   */
+  restoreVoice() {
+    if (this.review) {
+      this.ui.fillVoice(this.review.url);
+    } else if (this._data.file && this._data.file.url) {
+      this.ui.fillVoice(this._data.file.url, this._data.file);
+    } else {
+      this.ui.hidePreloader();
+    }
+  }
+
+  /**
+   * Keeps recording on the device while there is no connection
+   *
+   * @private
+   * @param {Blob} blob - recorded audio
+   * @returns {void}
+   */
+  queueRecording(blob) {
+    const id = generateId();
+
+    this.ui.showPreloader();
+    this.uploader.getInfo(blob, new Date())
+      .then((info) => storage.put(storage.STORES.QUEUE, {
+        id,
+        blob,
+        info,
+      })
+        .then(() => info))
+      .then((info) => {
+        this.prepareTake();
+        this._data.file = Object.assign({}, info, { pending: id });
+        this.syncActiveTake();
+        this.showPending(id, blob, info);
+        this.finishSession();
+        this.notifyChange();
+      })
+      .catch((error) => this.uploadingFailed(error));
+  }
+
+  /**
+   * Loads recording that was kept on the device and uploads it when online
+   *
+   * @private
+   * @param {object} file - saved file data with the 'pending' id
+   * @returns {void}
+   */
+  restorePending(file) {
+    storage.get(storage.STORES.QUEUE, file.pending)
+      .then((item) => {
+        if (!item) {
+          throw new Error('recording is not found on this device');
+        }
+
+        this.showPending(item.id, item.blob, item.info);
+
+        if (navigator.onLine && !this.readOnly) {
+          this.flushPending();
+        }
+      })
+      .catch((error) => {
+        console.log('Voice Tool: pending recording is not available because of', error);
+        this.ui.hidePreloader();
+      });
+  }
+
+  /**
+   * Shows local playback of the pending recording and waits for connection
+   *
+   * @private
+   * @param {string} id - queue item id
+   * @param {Blob} blob - recorded audio
+   * @param {object} info - audio metadata
+   * @returns {void}
+   */
+  showPending(id, blob, info) {
+    if (this.pending) {
+      URL.revokeObjectURL(this.pending.url);
+    }
+
+    this.pending = {
+      id,
+      blob,
+      info,
+      url: URL.createObjectURL(blob),
+    };
+
+    this.ui.fillVoice(this.pending.url, info);
+    this.ui.togglePending(true);
+
+    if (!this.readOnly) {
+      window.addEventListener('online', this.onOnline);
+    }
+  }
+
+  /**
+   * Uploads pending recording
+   *
+   * @private
+   * @returns {void}
+   */
+  flushPending() {
+    if (!this.pending || this.isFlushing) {
+      return;
+    }
+
+    this.isFlushing = true;
+    this.replacesActiveTake = true;
+    this.uploader.uploadAudioBlob(this.pending.blob, {
+      onPreview: (src) => {
+        this.ui.showPreloader(src);
+      },
+      info: Promise.resolve(this.pending.info),
+    });
+  }
+
+  /**
+   * Removes uploaded recording from the device
+   *
+   * @private
+   * @returns {void}
+   */
+  clearPending() {
+    window.removeEventListener('online', this.onOnline);
+    storage.remove(storage.STORES.QUEUE, this.pending.id)
+      .catch((error) => console.log('Voice Tool: pending recording is not removed because of', error));
+    URL.revokeObjectURL(this.pending.url);
+
+    this.pending = null;
+    this.isFlushing = false;
+    this.ui.togglePending(false);
+  }
+
+  /**
+   * Looks for recording left unfinished on the previous load and offers to restore it
+   *
+   * @private
+   * @returns {void}
+   */
+  checkRecovery() {
+    recovery.claimUnfinished()
+      .then((session) => {
+        if (!session) {
+          return;
+        }
+
+        this.ui.showRecoveryPrompt(session.startedAt, () => {
+          this.ui.hideRecoveryPrompt();
+          this.recoverSession(session);
+        }, () => {
+          this.ui.hideRecoveryPrompt();
+          recovery.finishSession(session.id);
+        });
+      })
+      .catch((error) => console.log('Voice Tool: unfinished recordings are not available because of', error));
+  }
+
+  /**
+   * Rebuilds unfinished recording and uploads it as a usual one
+   *
+   * @private
+   * @param {{id: string, mimeType: string, startedAt: string}} session - unfinished session
+   * @returns {void}
+   */
+  recoverSession(session) {
+    this.ui.showPreloader();
+    recovery.restoreSession(session)
+      .then((blob) => {
+        this.sessionId = session.id;
+        this.uploadRecording(blob);
+      })
+      .catch((error) => {
+        console.log('Voice Tool: recording is not recovered because of', error);
+        recovery.finishSession(session.id);
+        this.ui.hidePreloader();
+        this.api.notifier.show({
+          message: this.api.i18n.t('Couldn’t recover the recording.'),
+          style: 'error',
+        });
+      });
+  }
+
+  /**
+   * Removes recorded chunks from IndexedDB once the recording is safe
+   *
+   * @private
+   * @returns {void}
+   */
+  finishSession() {
+    if (this.sessionId) {
+      recovery.finishSession(this.sessionId);
+      this.sessionId = null;
+    }
+  }
+
+  /**
+   * Notifies Editor.js about data changed without user input
+   *
+   * @private
+   * @returns {void}
+   */
+  notifyChange() {
+    if (this.block && typeof this.block.dispatchChange === 'function') {
+      this.block.dispatchChange();
+    }
+  }
+
+  /**
+   * File uploading callback
+   *
+   * @private
+   *
+   * @param {UploadResponseFormat} response - uploading server response
+   * @param {Blob} [blob] - uploaded audio, unknown for uploading by URL
+   * @returns {void}
+   */
+  onUpload(response, blob) {
+    if (response.success && response.file) {
+      if (this.pending) {
+        this.clearPending();
+      }
+
+      this.finishSession();
+
+      const untrimmedMarkers = this._data.markers;
+
+      /**
+       * Markers of the recording being uploaded are already cut, the ones of the voice are cut now
+       */
+      if (this.trimmedRange) {
+        const markers = trimMarkers(this._data.markers || [], this.trimmedRange.start, this.trimmedRange.end);
+
+        if (markers.length) {
+          this._data.markers = markers;
+        } else {
+          delete this._data.markers;
+        }
+
+        this.trimmedRange = null;
+      }
+
+      this.prepareTake();
+
+      /**
+       * The first untrimmed version is kept with its markers, so Undo trim after several trims returns to it
+       */
+      if (this.trimmedFrom) {
+        if (!this._data.original) {
+          this._data.original = this.trimmedFrom;
+
+          if (untrimmedMarkers && untrimmedMarkers.length) {
+            this._data.originalMarkers = untrimmedMarkers;
+          }
+        }
+
+        this.trimmedFrom = null;
+      }
+
+      this.audio = response.file;
+      this.notifyChange();
+      this.transcribe(blob);
+    } else {
+      this.uploadingFailed('incorrect response: ' + JSON.stringify(response));
+    }
+  }
+
+  /**
+   * Notifies about the microphone or engine failure and returns the Block to the state before recording
+   *
+   * @param {string} errorText - failure description
+   * @returns {void}
+   */
+  onRecorderFailed(errorText) {
+    console.log('Voice Tool: recording failed because of', errorText);
+    this.api.notifier.show({
+      message: this.api.i18n.t('Couldn’t record. please give permission.'),
+      style: 'error',
+    });
+    this.ui.togglePaused(false);
+    this.ui.setActive(false);
+
+    if (this.appendingTo) {
+      this.appendingTo = null;
+      this.ui.toggleAppending(false);
+    }
+
+    this.ui.toggleNewTake(false);
+    this.recordingMarkers = [];
+    this.restoreVoice();
+  }
+
+  /**
+   * Aborts uploading and returns the Block to the state it had before
+   *
+   * @private
+   * @returns {void}
+   */
+  cancelUploading() {
+    if (!this.uploader.isUploading) {
+      return;
+    }
+
+    this.uploader.cancel();
+    this.replacesActiveTake = false;
+    this.recordingMarkers = [];
+
+    /**
+     * Pending recording stays on the device until the next connection
+     */
+    if (this.pending) {
+      this.isFlushing = false;
+      this.ui.fillVoice(this.pending.url, this.pending.info);
+      this.ui.togglePending(true);
+
+      return;
+    }
+
+    /**
+     * Cancelled recording is discarded, it is not offered for recovery
+     */
+    this.finishSession();
+    this.trimmedFrom = null;
+    this.trimmedRange = null;
+    this.restoreVoice();
+  }
+
+  /**
+   * Handle uploader errors
+   *
+   * @private
+   * @param {string} errorText - uploading error text
+   * @returns {void}
+   */
+  uploadingFailed(errorText) {
+    console.log('Voice Tool: uploading failed because of', errorText);
+    this.replacesActiveTake = false;
+    this.recordingMarkers = [];
+
+    /**
+     * Pending recording stays on the device until the next connection
+     */
+    if (this.pending) {
+      this.isFlushing = false;
+      this.ui.fillVoice(this.pending.url, this.pending.info);
+      this.ui.togglePending(true);
+
+      return;
+    }
+
+    let message = this.api.i18n.t('Couldn’t upload audio. Please try another.');
+
+    if (errorText && errorText.code === FILE_TOO_LARGE) {
+      message = `${this.api.i18n.t('File is too large. Maximum size is')} ${formatBytes(errorText.maxSize)}`;
+    } else if (errorText && errorText.code === UNSUPPORTED_TYPE) {
+      message = this.api.i18n.t('This file type is not supported');
+    }
+
     this.api.notifier.show({
-      message: this.api.i18n.t('Couldn’t upload audio. Please try another.'),
+      message,
       style: 'error',
     });
     this.ui.togglePaused(false);
     this.ui.setActive(false);
-    this.ui.hidePreloader();
+    this.trimmedFrom = null;
+    this.trimmedRange = null;
+    this.restoreVoice();
+
+    /**
+     * Failed recording stays in IndexedDB and is offered for recovery again
+     */
+    if (this.sessionId) {
+      recovery.releaseSession(this.sessionId);
+      this.sessionId = null;
+      this.checkRecovery();
+    }
+  }
+
+  /**
+   * Runs config.transcriber for the uploaded voice and stores its text with the active take.
+   * Result is dropped if the voice was changed while it was transcribed
+   *
+   * @private
+   * @param {Blob} [blob] - uploaded audio, file URL is passed to the transcriber without it
+   * @returns {void}
+   */
+  transcribe(blob) {
+    const transcriber = this.config.transcriber;
+    const file = this._data.file;
+
+    if (typeof transcriber !== 'function' || !file.url) {
+      return;
+    }
+
+    this.ui.toggleTranscribing(true);
+
+    Promise.resolve()
+      .then(() => transcriber(blob || file.url, file))
+      .then((result) => {
+        if (this._data.file !== file) {
+          return;
+        }
+
+        const { text, words } = typeof result === 'string' ? { text: result } : (result || {});
+
+        this._data.transcript = String(text || '').trim();
+
+        if (Array.isArray(words) && words.length) {
+          this._data.transcriptWords = words;
+        } else {
+          delete this._data.transcriptWords;
+        }
+
+        this.syncActiveTake();
+        this.notifyChange();
+      })
+      .catch((error) => {
+        console.log('Voice Tool: transcription failed because of', error);
+        this.api.notifier.show({
+          message: this.api.i18n.t('Couldn’t transcribe audio'),
+          style: 'error',
+        });
+      })
+      .then(() => this.ui.toggleTranscribing(false));
+  }
+
+  /**
+   * Stores transcript edited by the user.
+   * Word timings are kept: they describe the audio, not the edited text
+   *
+   * @private
+   * @param {string} text - new transcript
+   * @returns {void}
+   */
+  changeTranscript(text) {
+    this._data.transcript = text;
+    this.syncActiveTake();
+    this.notifyChange();
   }
 
   /**
@@ -393,15 +1719,71 @@ export default class VoiceRecord {
   tuneToggled(tuneName) {
     // inverse tune state
     this.setTune(tuneName, !this._data[tuneName]);
+    this.notifyChange();
   }
 
   /**
-   * Show preloader and upload audio file
+   * Set one tune
+   *
+   * @private
    *
-   * @param {File} file - file that is currently uploading (from paste)
+   * @param {string} tuneName - withBorder, withBackground, stretched or custom action name
+   * @param {boolean} value - tune state
+   * @returns {void}
+   */
+  setTune(tuneName, value) {
+    this._data[tuneName] = value;
+
+    this.ui.applyTune(tuneName, value);
+
+    if (tuneName === 'stretched') {
+      /**
+       * Wait until the Block is rendered before stretching it
+       */
+      Promise.resolve().then(() => {
+        if (this.block) {
+          this.block.stretched = value;
+        } else {
+          this.api.blocks.stretchBlock(this.api.blocks.getCurrentBlockIndex(), value);
+        }
+      })
+        .catch((error) => console.log('Voice Tool: block is not stretched because of', error));
+    }
+  }
+
+  /**
+   * Opens file selection dialog and uploads the chosen file
+   *
+   * @private
+   * @returns {void}
+   */
+  selectFile() {
+    this.uploader.selectFile()
+      .then((file) => {
+        if (file) {
+          this.uploadFile(file);
+        }
+      })
+      .catch((error) => console.log('Voice Tool: file is not selected because of', error));
+  }
+
+  /**
+   * Show preloader and upload audio file.
+   * Files that don't match config.types are rejected before uploading
+   *
+   * @param {File} file - file that is currently uploading (selected, dropped or pasted)
    * @returns {void}
    */
   uploadFile(file) {
+    if (!isAcceptedType(file, this.config.types)) {
+      const error = new Error(`file type ${file.type || file.name} is not accepted`);
+
+      error.code = UNSUPPORTED_TYPE;
+      this.uploadingFailed(error);
+
+      return;
+    }
+
     this.uploader.uploadByFile(file, {
       onPreview: (src) => {
         this.ui.showPreloader(src);
@@ -420,3 +1802,33 @@ export default class VoiceRecord {
     this.uploader.uploadByUrl(url);
   }
 }
+
+/**
+ * Returns copy of markers sorted by time
+ *
+ * @param {{time: number}[]} markers - markers to sort
+ * @returns {{id: string, time: number, label: string}[]}
+ */
+function sortMarkers(markers) {
+  return markers.slice().sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Cuts markers to the part of the voice kept by trimming: markers outside it are dropped,
+ * the rest are moved back by the cut leading part and clamped to the new duration
+ *
+ * @param {{id: string, time: number, label: string}[]} markers - markers to cut
+ * @param {number} start - start of the kept part in seconds, counted from the offset
+ * @param {number} end - end of the kept part in seconds, counted from the offset
+ * @param {number} [offset] - position of the trimmed audio in the voice, e.g. duration of the voice a recording is appended to
+ * @returns {{id: string, time: number, label: string}[]}
+ */
+function trimMarkers(markers, start, end, offset = 0) {
+  const duration = offset + end - start;
+
+  return markers
+    .filter((marker) => marker.time >= offset + start && marker.time <= offset + end)
+    .map((marker) => Object.assign({}, marker, {
+      time: Math.min(Math.round((marker.time - start) * 100) / 100, duration),
+    }));
+}
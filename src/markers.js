@@ -0,0 +1,152 @@
+import { make } from './utils';
+import { formatTime } from './player';
+
+/**
+ * Module for the list of markers of the voice, shown as chapters.
+ * Clicking marker time moves playback to it, labels can be renamed and markers deleted
+ */
+export default class Markers {
+  /**
+   * @param {object} params - markers module params
+   * @param {object} params.api - Editor.js API
+   * @param {boolean} params.readOnly - read-only mode flag
+   * @param {Function} params.onSeek - callback for clicks on marker time, receives time in seconds
+   * @param {Function} params.onRename - callback for label changes, receives marker id and new label
+   * @param {Function} params.onDelete - callback for Delete button, receives marker id
+   */
+  constructor({
+    api,
+    readOnly,
+    onSeek,
+    onRename,
+    onDelete,
+  }) {
+    this.api = api;
+    this.readOnly = readOnly;
+    this.onSeek = onSeek;
+    this.onRename = onRename;
+    this.onDelete = onDelete;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper, { hidden: true }),
+    };
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'voice-tool__markers',
+      item: 'voice-tool__marker',
+      time: 'voice-tool__marker-time',
+      label: 'voice-tool__marker-label',
+      button: 'voice-tool__marker-button',
+    };
+  }
+
+  /**
+   * Markers list root element
+   *
+   * @returns {Element}
+   */
+  get element() {
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Renders the list, it is hidden while there are no markers
+   *
+   * @param {{id: string, time: number, label: string}[]} markers - markers sorted by time
+   * @returns {void}
+   */
+  render(markers) {
+    this.nodes.wrapper.innerHTML = '';
+    this.nodes.wrapper.hidden = !markers.length;
+
+    markers.forEach((marker) => {
+      this.nodes.wrapper.appendChild(this.createItem(marker));
+    });
+  }
+
+  /**
+   * Moves focus to the marker label, so a just added marker can be named
+   *
+   * @param {string} id - marker id
+   * @returns {void}
+   */
+  focus(id) {
+    const item = this.nodes.wrapper.querySelector(`[data-id="${id}"]`);
+    const label = item && item.querySelector('input');
+
+    if (label) {
+      label.focus();
+      label.select();
+    }
+  }
+
+  /**
+   * Creates list item
+   *
+   * @private
+   * @param {{id: string, time: number, label: string}} marker - marker data
+   * @returns {Element}
+   */
+  createItem(marker) {
+    const item = make('div', this.CSS.item);
+    const time = make('button', [this.CSS.button, this.CSS.time], {
+      type: 'button',
+      textContent: formatTime(marker.time),
+      title: this.api.i18n.t('Go to marker'),
+    });
+
+    item.dataset.id = marker.id;
+    time.addEventListener('click', () => this.onSeek(marker.time));
+
+    if (this.readOnly) {
+      item.append(time, make('span', this.CSS.label, {
+        textContent: marker.label,
+      }));
+
+      return item;
+    }
+
+    const label = make('input', [this.api.styles.input, this.CSS.label], {
+      value: marker.label,
+      maxLength: 100,
+      title: this.api.i18n.t('Marker label'),
+    });
+    const deleteButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Delete'),
+    });
+
+    /**
+     * Enter finishes editing instead of creating a new Block
+     */
+    label.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        label.blur();
+      }
+    });
+    label.addEventListener('change', () => {
+      const value = label.value.trim();
+
+      if (value) {
+        this.onRename(marker.id, value);
+      } else {
+        label.value = marker.label;
+      }
+    });
+
+    deleteButton.addEventListener('click', () => this.onDelete(marker.id));
+
+    item.append(time, label, deleteButton);
+
+    return item;
+  }
+}
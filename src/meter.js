@@ -0,0 +1,205 @@
+/**
+ * Level at which the input is considered clipped (0..1)
+ *
+ * @type {number}
+ */
+const CLIPPING_LEVEL = 0.98;
+
+/**
+ * How long the clipping warning stays visible after the last clipped frame, ms
+ *
+ * @type {number}
+ */
+const CLIPPING_HOLD = 1500;
+
+/**
+ * Width of one waveform bar in CSS pixels, including the gap
+ *
+ * @type {number}
+ */
+const BAR_WIDTH = 3;
+
+/**
+ * Module for the live input meter. Reads the microphone stream
+ * through a Web Audio analyser and draws a scrolling waveform on a canvas
+ */
+export default class Meter {
+  /**
+   * @param {object} params - meter module params
+   * @param {HTMLCanvasElement} params.canvas - canvas to draw on
+   * @param {Function} params.onClipping - callback fired when clipping starts or ends
+   */
+  constructor({
+    canvas,
+    onClipping,
+  }) {
+    this.canvas = canvas;
+    this.onClipping = onClipping;
+
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.samples = null;
+    this.levels = [];
+    this.frame = null;
+    this.isPaused = false;
+    this.isClipping = false;
+    this.clippedAt = 0;
+  }
+
+  /**
+   * Starts drawing levels of the passed stream
+   *
+   * @param {MediaStream} stream - recording stream
+   * @returns {void}
+   */
+  start(stream) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+
+    this.stop();
+
+    if (!AudioContext || !stream) {
+      return;
+    }
+
+    this.audioContext = new AudioContext();
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 1024;
+    this.samples = new Uint8Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+
+    this.resize();
+    this.isPaused = false;
+    this.draw();
+  }
+
+  /**
+   * Freezes or resumes the meter
+   *
+   * @param {boolean} isPaused - pause state of the recording
+   * @returns {void}
+   */
+  togglePaused(isPaused) {
+    this.isPaused = isPaused;
+
+    if (isPaused) {
+      window.cancelAnimationFrame(this.frame);
+      this.setClipping(false);
+    } else if (this.analyser) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Stops reading the stream and clears the canvas
+   *
+   * @returns {void}
+   */
+  stop() {
+    window.cancelAnimationFrame(this.frame);
+    this.frame = null;
+
+    if (this.source) {
+      this.source.disconnect();
+    }
+
+    if (this.audioContext) {
+      this.audioContext.close();
+    }
+
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.levels = [];
+    this.setClipping(false);
+
+    const context = this.canvas.getContext('2d');
+
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Matches canvas resolution to its rendered size
+   *
+   * @private
+   * @returns {void}
+   */
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+
+    this.canvas.width = (this.canvas.clientWidth || 120) * ratio;
+    this.canvas.height = (this.canvas.clientHeight || 32) * ratio;
+  }
+
+  /**
+   * Reads the current frame and redraws the waveform
+   *
+   * @private
+   * @returns {void}
+   */
+  draw() {
+    if (!this.analyser || this.isPaused) {
+      return;
+    }
+
+    this.analyser.getByteTimeDomainData(this.samples);
+
+    let peak = 0;
+    let sum = 0;
+
+    for (let i = 0; i < this.samples.length; i++) {
+      const value = Math.abs(this.samples[i] - 128) / 128;
+
+      peak = Math.max(peak, value);
+      sum += value * value;
+    }
+
+    const now = Date.now();
+
+    if (peak >= CLIPPING_LEVEL) {
+      this.clippedAt = now;
+    }
+    this.setClipping(now - this.clippedAt < CLIPPING_HOLD);
+
+    const ratio = window.devicePixelRatio || 1;
+    const barWidth = BAR_WIDTH * ratio;
+    const maxBars = Math.ceil(this.canvas.width / barWidth);
+
+    this.levels.push(Math.min(1, Math.sqrt(sum / this.samples.length) * 4));
+    if (this.levels.length > maxBars) {
+      this.levels.splice(0, this.levels.length - maxBars);
+    }
+
+    const context = this.canvas.getContext('2d');
+    const { width, height } = this.canvas;
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = window.getComputedStyle(this.canvas).color;
+
+    this.levels.forEach((level, index) => {
+      const barHeight = Math.max(ratio, level * height);
+      const x = width - (this.levels.length - index) * barWidth;
+
+      context.fillRect(x, (height - barHeight) / 2, barWidth - ratio, barHeight);
+    });
+
+    this.frame = window.requestAnimationFrame(() => this.draw());
+  }
+
+  /**
+   * Updates clipping state and notifies about changes
+   *
+   * @private
+   * @param {boolean} isClipping - is input too loud now
+   * @returns {void}
+   */
+  setClipping(isClipping) {
+    if (this.isClipping === isClipping) {
+      return;
+    }
+
+    this.isClipping = isClipping;
+    this.onClipping && this.onClipping(isClipping);
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Audio input devices and the microphone chosen by the user.
+ * The choice is shared by all Voice Tool instances on the page origin
+ */
+
+/**
+ * localStorage key of the chosen microphone id
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'editorjs-voice:microphone';
+
+/**
+ * Check if the browser can list devices
+ *
+ * @returns {boolean}
+ */
+export function isSupported() {
+  return !!(navigator.mediaDevices && navigator.mediaDevices.enumerateDevices);
+}
+
+/**
+ * Returns connected microphones.
+ * Labels are empty until the microphone permission is granted, so they are numbered then
+ *
+ * @param {Function} t - translation method of Editor.js i18n API
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export function list(t) {
+  if (!isSupported()) {
+    return Promise.resolve([]);
+  }
+
+  return navigator.mediaDevices.enumerateDevices()
+    .then((devices) => devices
+      .filter((device) => device.kind === 'audioinput' && device.deviceId !== 'default' && device.deviceId !== 'communications')
+      .map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || `${t('Microphone')} ${index + 1}`,
+      })));
+}
+
+/**
+ * Returns id of the chosen microphone
+ *
+ * @returns {string|null}
+ */
+export function getSaved() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remembers the chosen microphone, empty id means the system default
+ *
+ * @param {string} deviceId - device id
+ * @returns {void}
+ */
+export function save(deviceId) {
+  try {
+    if (deviceId) {
+      window.localStorage.setItem(STORAGE_KEY, deviceId);
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.log('Voice Tool: microphone choice is not saved because of', error);
+  }
+}
+
+/**
+ * Subscribes on plugging and unplugging devices
+ *
+ * @param {Function} callback - fired on each change
+ * @returns {Function} unsubscribe
+ */
+export function onChange(callback) {
+  const mediaDevices = navigator.mediaDevices;
+
+  if (!mediaDevices || typeof mediaDevices.addEventListener !== 'function') {
+    return () => {};
+  }
+
+  mediaDevices.addEventListener('devicechange', callback);
+
+  return () => mediaDevices.removeEventListener('devicechange', callback);
+}
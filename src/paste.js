@@ -0,0 +1,66 @@
+import { getFileName } from './uploader';
+
+/**
+ * Audio pasted into the Editor: links to audio files, <audio> markup and inline data: URIs
+ */
+
+/**
+ * Default patterns of pasted audio links. Query string and hash after the extension are allowed,
+ * the extension itself must be in the path
+ *
+ * @type {object<string, RegExp>}
+ */
+export const DEFAULT_PATTERNS = {
+  audio: /^https?:\/\/[^\s?#]+\.(mp3|wav|ogg|oga|m4a|aac|webm|flac|opus)(\?\S*)?(#\S*)?$/i,
+};
+
+/**
+ * Returns source of the pasted <audio> or <source> element:
+ * own src or src of the first nested <source>. Empty src attributes are skipped,
+ * otherwise they would resolve to the page URL
+ *
+ * @param {HTMLElement} element - pasted element, sanitized by Editor.js
+ * @returns {string|null}
+ */
+export function getSource(element) {
+  const source = [ element ].concat(Array.from(element.querySelectorAll('source')))
+    .find((node) => (node.getAttribute('src') || '').trim());
+
+  return source ? source.src : null;
+}
+
+/**
+ * Check if source is audio embedded into the page as data: URI
+ *
+ * @param {string} src - pasted source
+ * @returns {boolean}
+ */
+export function isDataUri(src) {
+  return /^data:/i.test(src);
+}
+
+/**
+ * Makes File from the source local to the page: blob: URL from PDF or data: URI.
+ * Data URIs go through config.paste.dataUri when it is a function
+ *
+ * @param {string} src - blob: URL or data: URI
+ * @param {function(string): Blob|Promise<Blob>} [handler] - custom data: URI handler
+ * @returns {Promise<File>}
+ */
+export function toFile(src, handler) {
+  return Promise.resolve()
+    .then(() => {
+      if (isDataUri(src) && typeof handler === 'function') {
+        return handler(src);
+      }
+
+      return fetch(src).then((response) => response.blob());
+    })
+    .then((blob) => {
+      if (!blob) {
+        throw new Error('pasted source has no data');
+      }
+
+      return blob instanceof window.File ? blob : new File([ blob ], getFileName(blob.type), { type: blob.type });
+    });
+}
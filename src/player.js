@@ -0,0 +1,495 @@
+import playIcon from './svg/play-icon.svg';
+import pausedIcon from './svg/paused-icon.svg';
+import { make } from './utils';
+import { computePeaks, decodeAudio } from './audio';
+
+/**
+ * Available playback rates, cycled by the speed button
+ *
+ * @type {number[]}
+ */
+const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+/**
+ * Seconds to jump with the skip buttons
+ *
+ * @type {number}
+ */
+const SKIP_SECONDS = 10;
+
+/**
+ * Module for the voice player. Wraps a hidden audio element
+ * with play/pause, seekable timeline, elapsed/total time, speed and skip controls
+ */
+export default class Player {
+  /**
+   * @param {object} params - player module params
+   * @param {object} params.api - Editor.js API
+   * @param {Function} params.onLoaded - callback fired when audio data is loaded
+   */
+  constructor({
+    api,
+    onLoaded,
+  }) {
+    this.api = api;
+    this.onLoaded = onLoaded;
+    this.rateIndex = PLAYBACK_RATES.indexOf(1);
+    this.duration = 0;
+    this.peaks = null;
+    this.markers = [];
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      audio: make('audio', this.CSS.audio),
+      playButton: this.createButton(this.CSS.play, playIcon, this.api.i18n.t('Play')),
+      backButton: this.createButton(this.CSS.skip, `-${SKIP_SECONDS}s`, this.api.i18n.t('Skip back')),
+      forwardButton: this.createButton(this.CSS.skip, `+${SKIP_SECONDS}s`, this.api.i18n.t('Skip forward')),
+      speedButton: this.createButton(this.CSS.speed, '1x', this.api.i18n.t('Playback speed')),
+      timeline: make('div', this.CSS.timeline, { tabIndex: 0 }),
+      progress: make('div', this.CSS.progress),
+      waveform: make('canvas', this.CSS.waveform),
+      time: make('span', this.CSS.time),
+    };
+
+    /**
+     * Create base structure
+     *  <wrapper>
+     *    <play-button />
+     *    <back-button />
+     *    <timeline>
+     *      <progress />
+     *      <waveform />
+     *      <markers />
+     *    </timeline>
+     *    <forward-button />
+     *    <time />
+     *    <speed-button />
+     *    <audio />
+     *  </wrapper>
+     */
+    this.nodes.timeline.setAttribute('role', 'slider');
+    this.nodes.timeline.setAttribute('aria-label', this.api.i18n.t('Seek'));
+    this.nodes.timeline.appendChild(this.nodes.progress);
+    this.nodes.timeline.appendChild(this.nodes.waveform);
+
+    [
+      this.nodes.playButton,
+      this.nodes.backButton,
+      this.nodes.timeline,
+      this.nodes.forwardButton,
+      this.nodes.time,
+      this.nodes.speedButton,
+      this.nodes.audio,
+    ].forEach((node) => this.nodes.wrapper.appendChild(node));
+
+    this.bindEvents();
+    this.updateTime();
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'voice-tool__player',
+      playing: 'voice-tool__player--playing',
+      audio: 'voice-tool__player-audio',
+      button: 'voice-tool__player-button',
+      play: 'voice-tool__player-play',
+      skip: 'voice-tool__player-skip',
+      speed: 'voice-tool__player-speed',
+      timeline: 'voice-tool__player-timeline',
+      timelineWaveform: 'voice-tool__player-timeline--waveform',
+      progress: 'voice-tool__player-progress',
+      waveform: 'voice-tool__player-waveform',
+      time: 'voice-tool__player-time',
+      marker: 'voice-tool__player-marker',
+    };
+  }
+
+  /**
+   * Player root element
+   *
+   * @returns {Element}
+   */
+  get element() {
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Loads audio source.
+   * Stored waveform and duration are shown immediately,
+   * otherwise they are computed by decoding the file
+   *
+   * @param {string} url - audio source
+   * @param {object} [meta] - precomputed audio metadata
+   * @param {number[]} [meta.peaks] - waveform peaks
+   * @param {number} [meta.duration] - duration in seconds
+   * @returns {void}
+   */
+  load(url, { peaks, duration } = {}) {
+    this.nodes.audio.src = url;
+
+    if (duration) {
+      this.setDuration(duration);
+    }
+
+    if (peaks && peaks.length) {
+      this.setPeaks(peaks);
+
+      return;
+    }
+
+    fetch(url)
+      .then((response) => response.blob())
+      .then((blob) => decodeAudio(blob))
+      .then((audioBuffer) => {
+        if (!this.duration) {
+          this.setDuration(audioBuffer.duration);
+        }
+        this.setPeaks(computePeaks(audioBuffer));
+      })
+      .catch((error) => console.log('Voice Tool: waveform is not available because of', error));
+  }
+
+  /**
+   * Shows waveform instead of the plain progress bar
+   *
+   * @param {number[]} peaks - amplitudes from 0 to 1
+   * @returns {void}
+   */
+  setPeaks(peaks) {
+    this.peaks = peaks;
+    this.nodes.timeline.classList.add(this.CSS.timelineWaveform);
+    this.updateTime();
+  }
+
+  /**
+   * Current playback position in seconds
+   *
+   * @returns {number}
+   */
+  get currentTime() {
+    return this.nodes.audio.currentTime || 0;
+  }
+
+  /**
+   * Shows markers as ticks on the timeline
+   *
+   * @param {{id: string, time: number, label: string}[]} markers - markers of the voice
+   * @returns {void}
+   */
+  setMarkers(markers) {
+    this.markers = markers;
+    this.renderMarkers();
+  }
+
+  /**
+   * Stops playback and releases the source
+   *
+   * @returns {void}
+   */
+  destroy() {
+    this.nodes.audio.pause();
+    this.nodes.audio.removeAttribute('src');
+    this.nodes.audio.load();
+  }
+
+  /**
+   * Starts or pauses playback
+   *
+   * @returns {void}
+   */
+  togglePlay() {
+    if (this.nodes.audio.paused) {
+      this.nodes.audio.play()
+        .catch((error) => console.log('Voice Tool: playback failed because of', error));
+    } else {
+      this.nodes.audio.pause();
+    }
+  }
+
+  /**
+   * Moves playback position by passed amount of seconds
+   *
+   * @param {number} seconds - negative to go back
+   * @returns {void}
+   */
+  skip(seconds) {
+    this.seek(this.nodes.audio.currentTime + seconds);
+  }
+
+  /**
+   * Moves playback position to passed time
+   *
+   * @param {number} seconds - new position
+   * @returns {void}
+   */
+  seek(seconds) {
+    const max = this.duration || this.nodes.audio.currentTime;
+
+    this.nodes.audio.currentTime = Math.min(Math.max(seconds, 0), max);
+    this.updateTime();
+  }
+
+  /**
+   * Switches to the next playback rate
+   *
+   * @returns {void}
+   */
+  nextRate() {
+    this.rateIndex = (this.rateIndex + 1) % PLAYBACK_RATES.length;
+
+    const rate = PLAYBACK_RATES[this.rateIndex];
+
+    this.nodes.audio.playbackRate = rate;
+    this.nodes.speedButton.textContent = `${rate}x`;
+  }
+
+  /**
+   * Creates control button
+   *
+   * @private
+   * @param {string} className - button modifier class
+   * @param {string} content - button HTML content
+   * @param {string} title - accessible button title
+   * @returns {Element}
+   */
+  createButton(className, content, title) {
+    const button = make('button', [this.CSS.button, className], {
+      type: 'button',
+      title,
+      innerHTML: content,
+    });
+
+    button.setAttribute('aria-label', title);
+
+    return button;
+  }
+
+  /**
+   * Adds listeners to controls and audio element
+   *
+   * @private
+   * @returns {void}
+   */
+  bindEvents() {
+    const { audio, playButton, backButton, forwardButton, speedButton, timeline } = this.nodes;
+
+    playButton.addEventListener('click', () => this.togglePlay());
+    backButton.addEventListener('click', () => this.skip(-SKIP_SECONDS));
+    forwardButton.addEventListener('click', () => this.skip(SKIP_SECONDS));
+    speedButton.addEventListener('click', () => this.nextRate());
+
+    timeline.addEventListener('pointerdown', (event) => {
+      const onMove = (moveEvent) => this.seekToPointer(moveEvent);
+      const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+      };
+
+      this.seekToPointer(event);
+      document.addEventListener('pointermove', onMove);
+      document.addEventListener('pointerup', onUp);
+    });
+
+    timeline.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        event.stopPropagation();
+        this.skip(event.key === 'ArrowLeft' ? -5 : 5);
+      }
+    });
+
+    audio.addEventListener('loadedmetadata', () => this.onMetadata());
+    audio.addEventListener('loadeddata', () => {
+      this.onLoaded && this.onLoaded();
+      this.updateTime();
+    });
+    audio.addEventListener('durationchange', () => this.setDuration(audio.duration));
+    audio.addEventListener('timeupdate', () => this.updateTime());
+    audio.addEventListener('play', () => this.togglePlaying(true));
+    audio.addEventListener('pause', () => this.togglePlaying(false));
+    audio.addEventListener('ended', () => this.togglePlaying(false));
+  }
+
+  /**
+   * Resolves duration of recordings without it in the header.
+   * MediaRecorder output reports Infinity until the end of the file is reached
+   *
+   * @private
+   * @returns {void}
+   */
+  onMetadata() {
+    const { audio } = this.nodes;
+
+    if (audio.duration !== Infinity) {
+      this.setDuration(audio.duration);
+
+      return;
+    }
+
+    /**
+     * Duration is already known from the saved data
+     */
+    if (this.duration) {
+      return;
+    }
+
+    const onSeeked = () => {
+      audio.removeEventListener('timeupdate', onSeeked);
+      this.setDuration(audio.duration);
+      audio.currentTime = 0;
+    };
+
+    audio.addEventListener('timeupdate', onSeeked);
+    audio.currentTime = Number.MAX_SAFE_INTEGER;
+  }
+
+  /**
+   * Stores total duration and updates time view
+   *
+   * @private
+   * @param {number} duration - duration in seconds
+   * @returns {void}
+   */
+  setDuration(duration) {
+    if (!isFinite(duration)) {
+      return;
+    }
+
+    this.duration = duration;
+    this.updateTime();
+    this.renderMarkers();
+  }
+
+  /**
+   * Places marker ticks by their time. Ticks are drawn once the duration is known
+   *
+   * @private
+   * @returns {void}
+   */
+  renderMarkers() {
+    const { timeline } = this.nodes;
+
+    timeline.querySelectorAll(`.${this.CSS.marker}`).forEach((tick) => tick.remove());
+
+    if (!this.duration) {
+      return;
+    }
+
+    this.markers
+      .filter(({ time }) => time <= this.duration)
+      .forEach(({ time, label }) => {
+        const tick = make('span', this.CSS.marker, {
+          title: `${formatTime(time)} ${label}`,
+        });
+
+        tick.style.left = `${time / this.duration * 100}%`;
+        timeline.appendChild(tick);
+      });
+  }
+
+  /**
+   * Seeks to the time under the pointer
+   *
+   * @private
+   * @param {PointerEvent} event - pointer event over the timeline
+   * @returns {void}
+   */
+  seekToPointer(event) {
+    const rect = this.nodes.timeline.getBoundingClientRect();
+
+    if (!this.duration || !rect.width) {
+      return;
+    }
+
+    this.seek((event.clientX - rect.left) / rect.width * this.duration);
+  }
+
+  /**
+   * Updates progress bar and time text
+   *
+   * @private
+   * @returns {void}
+   */
+  updateTime() {
+    const current = this.nodes.audio.currentTime || 0;
+    const ratio = this.duration ? Math.min(current / this.duration, 1) : 0;
+
+    this.nodes.progress.style.width = `${ratio * 100}%`;
+    this.drawWaveform(ratio);
+    this.nodes.time.textContent = `${formatTime(current)} / ${formatTime(this.duration)}`;
+    this.nodes.timeline.setAttribute('aria-valuenow', Math.round(current));
+    this.nodes.timeline.setAttribute('aria-valuemax', Math.round(this.duration));
+  }
+
+  /**
+   * Draws waveform bars, played part is highlighted
+   *
+   * @private
+   * @param {number} [played] - played part from 0 to 1
+   * @returns {void}
+   */
+  drawWaveform(played = 0) {
+    const canvas = this.nodes.waveform;
+
+    if (!this.peaks || !canvas.clientWidth) {
+      return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth * ratio;
+    const height = canvas.clientHeight * ratio;
+
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const context = canvas.getContext('2d');
+    const style = window.getComputedStyle(canvas);
+    const playedColor = style.getPropertyValue('--front-color').trim();
+    const restColor = style.getPropertyValue('--bg-color').trim();
+    const barWidth = width / this.peaks.length;
+
+    context.clearRect(0, 0, width, height);
+
+    this.peaks.forEach((peak, index) => {
+      const barHeight = Math.max(ratio, peak * height);
+
+      context.fillStyle = (index + 0.5) / this.peaks.length <= played ? playedColor : restColor;
+      context.fillRect(index * barWidth, (height - barHeight) / 2, Math.max(ratio, barWidth - ratio), barHeight);
+    });
+  }
+
+  /**
+   * Switches play button between play and pause views
+   *
+   * @private
+   * @param {boolean} isPlaying - is audio playing now
+   * @returns {void}
+   */
+  togglePlaying(isPlaying) {
+    this.nodes.wrapper.classList.toggle(this.CSS.playing, isPlaying);
+    this.nodes.playButton.innerHTML = isPlaying ? pausedIcon : playIcon;
+    this.nodes.playButton.title = this.api.i18n.t(isPlaying ? 'Pause' : 'Play');
+  }
+}
+
+/**
+ * Formats seconds as mm:ss
+ *
+ * @param {number} seconds - time to format
+ * @returns {string}
+ */
+export function formatTime(seconds) {
+  const zeroPad = (num, places) => String(num)
+    .padStart(places, '0');
+  const allSeconds = Math.floor(isFinite(seconds) ? seconds : 0);
+  const minutes = Math.floor(allSeconds / 60);
+
+  return `${zeroPad(minutes, 2)}:${zeroPad(allSeconds % 60, 2)}`;
+}
@@ -0,0 +1,152 @@
+import { getAudioContextClass } from './audio';
+
+/**
+ * Compressor settings used when config.recorder.processing.compressor is true.
+ * Gentle voice levelling instead of the Web Audio default 12:1 ratio
+ *
+ * @type {object}
+ */
+const DEFAULT_COMPRESSOR = {
+  threshold: -24,
+  knee: 30,
+  ratio: 4,
+  attack: 0.003,
+  release: 0.25,
+};
+
+/**
+ * Optional Web Audio processing between the microphone and the recording engine:
+ * high-pass filter → compressor → gain.
+ * Each stage is added only when it is enabled in config.recorder.processing
+ */
+export default class Processor {
+  /**
+   * @param {object} options - processing options
+   * @param {number} [options.highPass] - high-pass filter cutoff frequency in Hz
+   * @param {boolean|object} [options.compressor] - true or DynamicsCompressor parameters
+   * @param {number} [options.gain] - output volume multiplier
+   */
+  constructor(options) {
+    this.options = options || {};
+    this.audioContext = null;
+    this.source = null;
+  }
+
+  /**
+   * Check if any stage is enabled
+   *
+   * @returns {boolean}
+   */
+  get isEnabled() {
+    const { highPass, compressor, gain } = this.options;
+
+    return !!highPass || !!compressor || (typeof gain === 'number' && gain !== 1);
+  }
+
+  /**
+   * Returns processed copy of the microphone stream,
+   * or the stream itself when processing is disabled or not supported
+   *
+   * @param {MediaStream} stream - microphone stream
+   * @returns {MediaStream}
+   */
+  process(stream) {
+    const AudioContext = getAudioContextClass();
+
+    this.close();
+
+    if (!this.isEnabled || !AudioContext) {
+      return stream;
+    }
+
+    const { highPass, compressor, gain } = this.options;
+
+    this.audioContext = createContext(AudioContext, stream);
+    this.source = this.audioContext.createMediaStreamSource(stream);
+
+    const destination = this.audioContext.createMediaStreamDestination();
+    let node = this.source;
+
+    if (highPass) {
+      const filter = this.audioContext.createBiquadFilter();
+
+      filter.type = 'highpass';
+      filter.frequency.value = highPass;
+      node = connect(node, filter);
+    }
+
+    if (compressor) {
+      const dynamics = this.audioContext.createDynamicsCompressor();
+      const params = Object.assign({}, DEFAULT_COMPRESSOR, compressor === true ? {} : compressor);
+
+      Object.keys(DEFAULT_COMPRESSOR).forEach((name) => {
+        dynamics[name].value = params[name];
+      });
+      node = connect(node, dynamics);
+    }
+
+    if (typeof gain === 'number' && gain !== 1) {
+      const gainNode = this.audioContext.createGain();
+
+      gainNode.gain.value = gain;
+      node = connect(node, gainNode);
+    }
+
+    node.connect(destination);
+
+    return destination.stream;
+  }
+
+  /**
+   * Disconnects processing graph and releases audio context
+   *
+   * @returns {void}
+   */
+  close() {
+    if (this.source) {
+      this.source.disconnect();
+    }
+
+    if (this.audioContext) {
+      this.audioContext.close();
+    }
+
+    this.audioContext = null;
+    this.source = null;
+  }
+}
+
+/**
+ * Creates audio context with the sample rate of the microphone, so processing does not resample
+ *
+ * @param {Function} AudioContext - audio context constructor
+ * @param {MediaStream} stream - microphone stream
+ * @returns {AudioContext}
+ */
+function createContext(AudioContext, stream) {
+  const [ track ] = stream.getAudioTracks();
+  const settings = track && typeof track.getSettings === 'function' ? track.getSettings() : {};
+
+  if (settings.sampleRate) {
+    try {
+      return new AudioContext({ sampleRate: settings.sampleRate });
+    } catch (error) {
+      console.log('Voice Tool: microphone sample rate is not used for processing because of', error);
+    }
+  }
+
+  return new AudioContext();
+}
+
+/**
+ * Connects nodes and returns the last one to continue the chain
+ *
+ * @param {AudioNode} from - previous node
+ * @param {AudioNode} to - next node
+ * @returns {AudioNode}
+ */
+function connect(from, to) {
+  from.connect(to);
+
+  return to;
+}
@@ -1,3 +1,32 @@
+import WavRecorder from './wav-recorder';
+import SilenceDetector from './silence-detector';
+import * as microphones from './microphones';
+import Processor from './processor';
+import * as sources from './sources';
+import { decodeAudio, findSoundBounds, trimAudio } from './audio';
+
+/**
+ * Container formats tried in order when config does not specify them.
+ * WebM/Opus is preferred by Chrome and Firefox, MP4/AAC is the only one in Safari
+ *
+ * @type {string[]}
+ */
+const DEFAULT_MIME_TYPES = [
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'audio/ogg;codecs=opus',
+  'audio/mp4;codecs=mp4a.40.2',
+  'audio/mp4',
+  'audio/mpeg',
+];
+
+/**
+ * How often the timer is redrawn and the limits are checked, in ms
+ *
+ * @type {number}
+ */
+const TIMER_TICK_MS = 250;
+
 /**
  * Module for file recording. Handle 3 scenarios:
  *  1. Select file from device and upload
@@ -10,6 +39,8 @@ export default class Recorder {
    * @param {ImageConfig} params.config - image tool config
    * @param {Function} params.onUpload - one callback for all uploading (file, url, d-n-d, pasting)
    * @param {Function} params.onError - callback for uploading errors
+   * @param {Function} params.onChunk - callback fired with each recorded chunk
+   * @param {Function} params.onLimitReached - callback fired when recording is stopped by duration or size limit
    */
   constructor({
     config,
@@ -18,78 +49,443 @@ export default class Recorder {
     onStarted,
     onStopped,
     onTogglePaused,
-    onUpdateTimer
+    onUpdateTimer,
+    onChunk,
+    onLimitReached,
   }) {
     this.config = config;
-    this.timeslice = 1000;
+    this.options = Object.assign({
+      engine: 'auto',
+      mimeTypes: DEFAULT_MIME_TYPES,
+      audioBitsPerSecond: undefined,
+      timeslice: 1000,
+      reviewBeforeUpload: false,
+      autoStopOnSilenceMs: 0,
+      silenceThreshold: 0.01,
+      trimSilence: undefined,
+      maxDurationMs: 0,
+      maxSizeBytes: 0,
+      limitWarningMs: 10000,
+      constraints: {},
+      processing: {},
+      source: sources.SOURCES.MICROPHONE,
+      getStream: undefined,
+    }, config.recorder);
+
+    /**
+     * Hands-free recording ends with a stretch of silence, so it is trimmed unless disabled explicitly
+     */
+    if (this.options.trimSilence === undefined) {
+      this.options.trimSilence = this.options.autoStopOnSilenceMs > 0;
+    }
+
+    this.timeslice = this.options.timeslice;
     this.onError = onError;
     this.onStarted = onStarted;
     this.onStopped = onStopped;
     this.onTogglePaused = onTogglePaused;
     this.onUpdateTimer = onUpdateTimer;
+    this.onChunk = onChunk;
+    this.onLimitReached = onLimitReached;
 
     this.mediaStream = null;
     this.mediaRecorder = null;
+
+    /**
+     * Source of the recorded audio, see {@link AudioSource}
+     *
+     * @type {AudioSource|null}
+     */
+    this.source = null;
+
+    /**
+     * Web Audio chain applied to the microphone before recording, see config.recorder.processing
+     *
+     * @type {Processor}
+     */
+    this.processor = new Processor(this.options.processing);
+
+    /**
+     * Stream passed to the recording engine: processed or the microphone one
+     *
+     * @type {MediaStream|null}
+     */
+    this.recordingStream = null;
     this.timer = 0;
+
+    /**
+     * performance.now() when the timer was started or resumed, null while it is stopped.
+     * Elapsed time is counted from it, so pauses don't lose the partial second
+     *
+     * @type {number|null}
+     */
+    this.timerStartedAt = null;
+    this.timerInterval = null;
     this.recordedChunks = [];
+    this.recordedSize = 0;
+    this.isCancelled = false;
+
+    /**
+     * Stops recording after config.recorder.autoStopOnSilenceMs of silence
+     *
+     * @type {SilenceDetector|null}
+     */
+    this.silenceDetector = this.options.autoStopOnSilenceMs > 0 ? new SilenceDetector({
+      threshold: this.options.silenceThreshold,
+      duration: this.options.autoStopOnSilenceMs,
+      onSilence: () => this.stopRecording(),
+    }) : null;
   }
 
-  addTimer(timeslice) {
+  /**
+   * Mime-type of the recorded audio: the one chosen by browser
+   * or the first supported from the config
+   *
+   * @returns {string}
+   */
+  get mimeType() {
+    return (this.mediaRecorder && this.mediaRecorder.mimeType) || this.getSupportedMimeType() || 'audio/webm';
+  }
+
+  /**
+   * Returns first mime-type from config that browser can record
+   *
+   * @returns {string|undefined}
+   */
+  getSupportedMimeType() {
+    if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+      return undefined;
+    }
+
+    return this.options.mimeTypes.find((type) => MediaRecorder.isTypeSupported(type));
+  }
+
+  /**
+   * Shows elapsed time, or the countdown near the limit, and stops recording at the limits
+   *
+   * @returns {void}
+   */
+  updateTimer() {
     const zeroPad = (num, places) => String(num)
       .padStart(places, '0');
-    this.timer += timeslice;
-    const allSeconds = this.timer / 1000;
-    const minutes = Math.floor(allSeconds / 60);
-    const seconds = allSeconds % 60;
-    const timer = `${zeroPad(minutes, 2)}:${zeroPad(seconds, 2)}`;
-    this.onUpdateTimer && this.onUpdateTimer(timer);
+    const format = (ms) => {
+      const allSeconds = ms / 1000;
+      const minutes = Math.floor(allSeconds / 60);
+      const seconds = Math.floor(allSeconds % 60);
+
+      return `${zeroPad(minutes, 2)}:${zeroPad(seconds, 2)}`;
+    };
+
+    const elapsed = this.elapsedMs;
+
+    /**
+     * Timer counts down when the limit is close
+     */
+    const remaining = this.getRemainingMs();
+    const isNearLimit = remaining !== null && remaining <= this.options.limitWarningMs;
+    const timer = isNearLimit ? `-${format(Math.ceil(remaining / 1000) * 1000)}` : format(elapsed);
+
+    this.onUpdateTimer && this.onUpdateTimer(timer, isNearLimit);
+    this.checkLimits();
+  }
+
+  /**
+   * Size of the recording so far: emitted chunks and, for the WAV engine, audio captured but not emitted yet
+   *
+   * @returns {number} bytes
+   */
+  get recordedBytes() {
+    const bufferedSize = this.mediaRecorder && this.mediaRecorder.bufferedSize;
+
+    return this.recordedSize + (bufferedSize || 0);
+  }
+
+  /**
+   * Time left before recording is stopped by config.recorder.maxDurationMs or maxSizeBytes.
+   * Time for the size limit is estimated from the bitrate recorded so far
+   *
+   * @returns {number|null} ms, null when there are no limits
+   */
+  getRemainingMs() {
+    const { maxDurationMs, maxSizeBytes } = this.options;
+    const limits = [];
+
+    if (maxDurationMs) {
+      limits.push(maxDurationMs - this.elapsedMs);
+    }
+
+    const recordedSize = this.recordedBytes;
+
+    const elapsed = this.elapsedMs;
+
+    if (maxSizeBytes && recordedSize && elapsed) {
+      limits.push((maxSizeBytes - recordedSize) / (recordedSize / elapsed));
+    }
+
+    return limits.length ? Math.max(0, Math.min(...limits)) : null;
+  }
+
+  /**
+   * Stops recording that reached the duration limit or would exceed the size limit with the next chunk
+   *
+   * @param {Blob} [lastChunk] - just recorded chunk
+   * @returns {void}
+   */
+  checkLimits(lastChunk) {
+    const { maxDurationMs, maxSizeBytes } = this.options;
+
+    if (!this.mediaRecorder || this.mediaRecorder.state !== 'recording') {
+      return;
+    }
+
+    const nextChunkSize = lastChunk ? lastChunk.size : 0;
+    const isDurationReached = maxDurationMs && this.elapsedMs >= maxDurationMs;
+    const isSizeReached = maxSizeBytes && this.recordedBytes + nextChunkSize >= maxSizeBytes;
+
+    if (isDurationReached || isSizeReached) {
+      this.mediaRecorder.stop();
+      this.onLimitReached && this.onLimitReached();
+    }
   }
 
+  /**
+   * Starts or stops ticking of the recording timer.
+   * Timer is independent of timeslice, so chunks can be of any length.
+   * Time of the stopped run is added to the timer
+   *
+   * @param {boolean} isRunning - should timer tick
+   * @returns {void}
+   */
+  toggleTimer(isRunning) {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.timer = this.elapsedMs;
+    this.timerStartedAt = isRunning ? performance.now() : null;
+
+    if (isRunning) {
+      this.timerInterval = setInterval(() => this.updateTimer(), TIMER_TICK_MS);
+    }
+  }
+
+  /**
+   * Requests the recorded stream once and keeps it until it is released
+   *
+   * @returns {Promise<MediaStream>} rejects after onError is called when the stream is not available
+   */
   getMediaStream() {
     return new Promise((resolve, reject) => {
       if (!this.mediaStream) {
-        if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-          // console.info('getUserMedia supported.');
-          navigator.mediaDevices.getUserMedia(
-            // constraints - only audio needed for this app
-            { audio: true })
-            // Success callback
-            .then((stream) => {
-              this.mediaStream = stream;
-              resolve(this.mediaStream);
-            })
-            // Error callback
-            .catch((err) => {
-              const msg = 'The following getUserMedia error occurred: ' + err;
-              this.onError(msg);
-              reject(new Error(msg));
-            });
-        } else {
-          const msg = 'Not supported on your browser!';
-          this.onError(msg);
-          reject(new Error(msg));
-        }
+        this.requestSource()
+          // Success callback
+          .then((source) => {
+            this.source = source;
+            this.mediaStream = source.stream;
+            this.watchTracks(source);
+            resolve(this.mediaStream);
+          })
+          // Error callback
+          .catch((err) => {
+            const msg = 'The following getUserMedia error occurred: ' + err;
+            this.onError(msg);
+            reject(new Error(msg));
+          });
       } else {
         resolve(this.mediaStream);
       }
     });
   }
 
+  /**
+   * Check if the chosen microphone is used: it is not for screen sharing and host streams
+   *
+   * @returns {boolean}
+   */
+  get usesMicrophone() {
+    return typeof this.options.getStream !== 'function' && this.options.source !== sources.SOURCES.DISPLAY;
+  }
+
+  /**
+   * Requests audio source chosen by config.recorder:
+   *  - getStream() — stream supplied by the host app
+   *  - source: 'display' — tab or system audio through screen sharing
+   *  - source: 'mixed' — microphone mixed with tab or system audio
+   *  - source: 'microphone' — the chosen microphone, by default
+   *
+   * @returns {Promise<AudioSource>}
+   */
+  requestSource() {
+    if (typeof this.options.getStream === 'function') {
+      return sources.fromHost(this.options.getStream);
+    }
+
+    switch (this.options.source) {
+      case sources.SOURCES.DISPLAY:
+        return sources.fromDisplay();
+      case sources.SOURCES.MIXED:
+        return this.requestMicrophone()
+          .then((microphone) => sources.fromDisplay()
+            .then((display) => sources.mix([microphone, display]))
+            .catch((error) => {
+              microphone.release();
+              throw error;
+            }));
+      default:
+        return this.requestMicrophone();
+    }
+  }
+
+  /**
+   * Requests stream of the chosen microphone.
+   * The system default one is used when the chosen microphone is unplugged
+   *
+   * @returns {Promise<AudioSource>}
+   */
+  requestMicrophone() {
+    const deviceId = microphones.getSaved();
+    const request = (id) => sources.fromMicrophone(this.getAudioConstraints(id));
+
+    if (!deviceId) {
+      return request();
+    }
+
+    return request(deviceId)
+      .catch((error) => {
+        if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+          throw error;
+        }
+
+        console.log('Voice Tool: default microphone is used because of', error);
+
+        return request();
+      });
+  }
+
+  /**
+   * Returns audio constraints for getUserMedia
+   *
+   * @param {string} [deviceId] - chosen microphone
+   * @returns {MediaTrackConstraints|boolean}
+   */
+  getAudioConstraints(deviceId) {
+    const constraints = Object.assign({}, this.options.constraints);
+
+    if (deviceId) {
+      constraints.deviceId = { exact: deviceId };
+    }
+
+    return Object.keys(constraints).length ? constraints : true;
+  }
+
+  /**
+   * Keeps what is recorded when the source is gone during recording:
+   * microphone is unplugged or screen sharing is stopped
+   *
+   * @param {AudioSource} source - recorded source
+   * @returns {void}
+   */
+  watchTracks(source) {
+    source.tracks.forEach((track) => {
+      track.addEventListener('ended', () => {
+        if (source !== this.source) {
+          return;
+        }
+
+        if (this.isRecording) {
+          this.mediaRecorder.stop();
+        }
+
+        this.releaseStream();
+      });
+    });
+  }
+
+  /**
+   * Check if recording or paused now
+   *
+   * @returns {boolean}
+   */
+  get isRecording() {
+    return !!this.mediaRecorder && this.mediaRecorder.state !== 'inactive';
+  }
+
+  /**
+   * Recorded time in ms, the timer value without the countdown to the limit
+   *
+   * @returns {number}
+   */
+  get elapsedMs() {
+    const running = this.timerStartedAt === null ? 0 : performance.now() - this.timerStartedAt;
+
+    return this.timer + running;
+  }
+
+  /**
+   * Changes microphone. It is applied to the next recording when called during recording
+   *
+   * @param {string} deviceId - device id, empty for the system default
+   * @returns {void}
+   */
+  setMicrophone(deviceId) {
+    microphones.save(deviceId);
+
+    if (!this.isRecording) {
+      this.releaseStream();
+    }
+  }
+
+  /**
+   * Releases the source, the next recording requests a new stream
+   *
+   * @returns {void}
+   */
+  releaseStream() {
+    if (this.source) {
+      this.source.release();
+    }
+
+    this.processor.close();
+    this.source = null;
+    this.mediaStream = null;
+    this.recordingStream = null;
+    this.mediaRecorder = null;
+  }
+
+  /**
+   * Creates the recording engine for the processed stream once and subscribes to its events
+   *
+   * @returns {Promise<MediaRecorder|WavRecorder>} rejects after onError is called when the stream is not available
+   */
   getMediaRecorder() {
     const that = this;
     return new Promise((resolve, reject) => {
       if (!this.mediaRecorder) {
         this.getMediaStream()
           .then((stream) => {
-            const options = { mimeType: 'audio/webm' };
+            this.recordingStream = this.processor.process(stream);
 
-            this.mediaRecorder = new MediaRecorder(stream, options);
+            const mediaRecorder = this.createEngine(this.recordingStream);
+
+            this.mediaRecorder = mediaRecorder;
 
             this.mediaRecorder.addEventListener('dataavailable', (e) => this.onDataAvailable(e));
             this.mediaRecorder.addEventListener('start', this.onStarted);
             this.mediaRecorder.addEventListener('stop', () => {
-              const blob = new Blob(that.recordedChunks, { type: 'audio/ogg; codecs=opus' });
-              that.onStopped(blob);
+              const blob = new Blob(that.recordedChunks, { type: mediaRecorder.mimeType || that.mimeType });
+
+              that.toggleTimer(false);
+              that.toggleSilenceDetection(false);
+
+              if (that.isCancelled) {
+                that.isCancelled = false;
+
+                return;
+              }
+
+              if (that.options.trimSilence) {
+                that.trimSilence(blob).then(({ blob: trimmed, bounds }) => that.onStopped(trimmed, bounds));
+              } else {
+                that.onStopped(blob);
+              }
             });
             resolve(this.mediaRecorder);
           })
@@ -102,60 +498,237 @@ export default class Recorder {
     });
   }
 
-  onDataAvailable(e) {
-    if (e.data.size > 0) {
-      this.recordedChunks.push(e.data);
+  /**
+   * Creates recording engine chosen by config.recorder.engine:
+   *  - 'mediarecorder' — native MediaRecorder
+   *  - 'wav' — PCM capturing with WAV encoding, see {@link WavRecorder}
+   *  - 'auto' — MediaRecorder when it is usable, WAV otherwise
+   *
+   * @param {MediaStream} stream - stream to record
+   * @returns {MediaRecorder|WavRecorder}
+   */
+  createEngine(stream) {
+    const { engine } = this.options;
+
+    if (engine !== 'wav') {
+      try {
+        return this.createMediaRecorder(stream);
+      } catch (error) {
+        if (engine === 'mediarecorder' || !WavRecorder.isSupported) {
+          const msg = 'MediaRecorder is not usable: ' + error;
+
+          this.onError(msg);
+          throw new Error(msg);
+        }
+      }
+    }
+
+    if (!WavRecorder.isSupported) {
+      const msg = 'Web Audio is not supported on your browser!';
+
+      this.onError(msg);
+      throw new Error(msg);
     }
-    this.addTimer(this.timeslice);
+
+    return new WavRecorder(stream);
   }
 
-  startRecording() {
-    this.getMediaRecorder()
-      .then((mediaRecorder) => {
-        this.timer = 0;
-        this.addTimer(0);
-        this.recordedChunks = [];
-        mediaRecorder.start(this.timeslice);
+  /**
+   * Creates native MediaRecorder with negotiated codec and bitrate
+   *
+   * @param {MediaStream} stream - stream to record
+   * @returns {MediaRecorder}
+   */
+  createMediaRecorder(stream) {
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('MediaRecorder is not defined');
+    }
+
+    const options = {};
+    const mimeType = this.getSupportedMimeType();
+
+    if (mimeType) {
+      options.mimeType = mimeType;
+    }
+
+    if (this.options.audioBitsPerSecond) {
+      options.audioBitsPerSecond = this.options.audioBitsPerSecond;
+    }
+
+    return new MediaRecorder(stream, options);
+  }
+
+  /**
+   * Starts or stops listening for silence, when auto-stop is enabled
+   *
+   * @param {boolean} isRunning - should detector listen
+   * @returns {void}
+   */
+  toggleSilenceDetection(isRunning) {
+    if (!this.silenceDetector) {
+      return;
+    }
+
+    if (isRunning) {
+      this.silenceDetector.start(this.recordingStream);
+    } else {
+      this.silenceDetector.stop();
+    }
+  }
+
+  /**
+   * Cuts silence at the start and the end of the recording.
+   * Trimmed audio is re-encoded as WAV, the original is returned if there is nothing to cut
+   * or the WAV file would be larger than config.recorder.maxSizeBytes: the limit is checked on the compressed recording.
+   * Bounds of the kept part in seconds let markers be moved with the audio, they are null when nothing is cut
+   *
+   * @param {Blob} blob - recorded audio
+   * @returns {Promise<{blob: Blob, bounds: ?{start: number, end: number}}>}
+   */
+  trimSilence(blob) {
+    return decodeAudio(blob)
+      .then((audioBuffer) => {
+        const bounds = findSoundBounds(audioBuffer, this.options.silenceThreshold);
+
+        if (!bounds || (bounds.start === 0 && bounds.end >= audioBuffer.duration)) {
+          return {
+            blob,
+            bounds: null,
+          };
+        }
+
+        const trimmed = trimAudio(audioBuffer, bounds.start, bounds.end);
+        const { maxSizeBytes } = this.options;
+
+        if (maxSizeBytes && trimmed.size > maxSizeBytes) {
+          console.log('Voice Tool: silence is not trimmed because WAV file is larger than the size limit');
+
+          return {
+            blob,
+            bounds: null,
+          };
+        }
+
+        return {
+          blob: trimmed,
+          bounds,
+        };
       })
       .catch((error) => {
-        console.error(error);
+        console.log('Voice Tool: silence is not trimmed because of', error);
+
+        return {
+          blob,
+          bounds: null,
+        };
       });
   }
 
+  /**
+   * Keeps recorded chunk, passes it to onChunk and checks the size limit
+   *
+   * @param {BlobEvent} e - dataavailable event of the engine
+   * @returns {void}
+   */
+  onDataAvailable(e) {
+    if (e.data.size > 0) {
+      this.recordedChunks.push(e.data);
+      this.recordedSize += e.data.size;
+      this.onChunk && this.onChunk(e.data);
+      this.checkLimits(e.data);
+    }
+  }
+
+  /**
+   * Runs action with the recording engine.
+   * Getting the microphone or the engine rejects only after onError is called, so the rejection is not reported again
+   *
+   * @param {function((MediaRecorder|WavRecorder)): void} action - action with the engine
+   * @returns {void}
+   */
+  withMediaRecorder(action) {
+    this.getMediaRecorder().then(action, () => {});
+  }
+
+  /**
+   * Starts new recording
+   *
+   * @param {number} [offsetMs] - time the timer starts from, e.g. duration of the voice the recording is appended to
+   * @returns {void}
+   */
+  startRecording(offsetMs = 0) {
+    this.withMediaRecorder((mediaRecorder) => {
+      this.timer = offsetMs;
+      this.timerStartedAt = null;
+      this.recordedChunks = [];
+      this.recordedSize = 0;
+      this.updateTimer();
+      mediaRecorder.start(this.timeslice);
+      this.toggleTimer(true);
+      this.toggleSilenceDetection(true);
+    });
+  }
+
+  /**
+   * Pauses active recording or resumes paused one
+   *
+   * @returns {void}
+   */
   togglePauseRecording() {
-    this.getMediaRecorder()
-      .then((mediaRecorder) => {
-        if (mediaRecorder.state === 'paused') {
-          mediaRecorder.resume();
-          this.onTogglePaused && this.onTogglePaused(false);
-        } else if (mediaRecorder.state !== 'inactive') {
-          mediaRecorder.pause();
-          this.onTogglePaused && this.onTogglePaused(true);
-        }
-      });
+    this.withMediaRecorder((mediaRecorder) => {
+      if (mediaRecorder.state === 'paused') {
+        mediaRecorder.resume();
+        this.toggleTimer(true);
+        this.silenceDetector && this.silenceDetector.togglePaused(false);
+        this.onTogglePaused && this.onTogglePaused(false);
+      } else if (mediaRecorder.state !== 'inactive') {
+        mediaRecorder.pause();
+        this.toggleTimer(false);
+        this.silenceDetector && this.silenceDetector.togglePaused(true);
+        this.onTogglePaused && this.onTogglePaused(true);
+      }
+    });
   }
 
+  /**
+   * Stops recording, the result is passed to onStopped
+   *
+   * @returns {void}
+   */
   stopRecording() {
-    this.getMediaRecorder()
-      .then((mediaRecorder) => {
-        mediaRecorder.stop();
-      });
+    this.withMediaRecorder((mediaRecorder) => {
+      mediaRecorder.stop();
+    });
   }
 
   /**
-   * Handle clicks on the upload file button
-   * Fires ajax.transport()
+   * Stops recording without passing the result to onStopped and releases the microphone
    *
-   * @param {Function} onPreview - callback fired when preview is ready
+   * @returns {void}
+   */
+  cancelRecording() {
+    if (this.isRecording) {
+      this.isCancelled = true;
+      this.mediaRecorder.stop();
+    }
+
+    this.toggleTimer(false);
+    this.toggleSilenceDetection(false);
+    this.releaseStream();
+  }
+
+  /**
+   * Starts new recording or stops the current one
+   *
+   * @returns {void}
    */
   toggleRecording() {
-    this.getMediaRecorder()
-      .then((mediaRecorder) => {
-        if (mediaRecorder.state === 'inactive') {
-          this.startRecording();
-        } else {
-          this.stopRecording();
-        }
-      });
+    this.withMediaRecorder((mediaRecorder) => {
+      if (mediaRecorder.state === 'inactive') {
+        this.startRecording();
+      } else {
+        this.stopRecording();
+      }
+    });
   }
 }
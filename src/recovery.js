@@ -0,0 +1,123 @@
+import * as storage from './storage';
+import { generateId } from './uploader';
+
+/**
+ * Keeps recordings in progress in IndexedDB chunk by chunk,
+ * so they can be restored after a tab crash, reload or editor re-render
+ */
+
+/**
+ * Sessions owned by Tool instances on this page: recording now or offered for recovery
+ *
+ * @type {Set<string>}
+ */
+const claimed = new Set();
+
+/**
+ * Check if recordings can be kept on the device
+ *
+ * @returns {boolean}
+ */
+export function isSupported() {
+  return storage.isSupported();
+}
+
+/**
+ * Registers new recording
+ *
+ * @param {string} mimeType - recorded audio type
+ * @returns {string} session id
+ */
+export function startSession(mimeType) {
+  const id = generateId();
+
+  claimed.add(id);
+  storage.put(storage.STORES.SESSIONS, {
+    id,
+    mimeType,
+    startedAt: new Date().toISOString(),
+  })
+    .catch((error) => console.log('Voice Tool: recording session is not saved because of', error));
+
+  return id;
+}
+
+/**
+ * Saves recorded chunk
+ *
+ * @param {string} id - session id
+ * @param {number} sequence - chunk number
+ * @param {Blob} blob - chunk data
+ * @returns {void}
+ */
+export function saveChunk(id, sequence, blob) {
+  storage.put(storage.STORES.CHUNKS, {
+    id: [id, sequence],
+    blob,
+  })
+    .catch((error) => console.log('Voice Tool: recorded chunk is not saved because of', error));
+}
+
+/**
+ * Deletes session with its chunks, when recording is uploaded or discarded
+ *
+ * @param {string} id - session id
+ * @returns {Promise<void>}
+ */
+export function finishSession(id) {
+  claimed.delete(id);
+
+  return Promise.all([
+    storage.remove(storage.STORES.SESSIONS, id),
+    storage.removeRange(storage.STORES.CHUNKS, [id, 0], [id, Infinity]),
+  ])
+    .then(() => undefined)
+    .catch((error) => console.log('Voice Tool: recording session is not removed because of', error));
+}
+
+/**
+ * Lets other Tool instances offer this session for recovery
+ *
+ * @param {string} id - session id
+ * @returns {void}
+ */
+export function releaseSession(id) {
+  claimed.delete(id);
+}
+
+/**
+ * Finds recording left unfinished on the previous load and claims it
+ *
+ * @returns {Promise<{id: string, mimeType: string, startedAt: string}|undefined>}
+ */
+export function claimUnfinished() {
+  return storage.getAll(storage.STORES.SESSIONS)
+    .then((sessions) => {
+      const session = sessions
+        .filter(({ id }) => !claimed.has(id))
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt))[0];
+
+      if (session) {
+        claimed.add(session.id);
+      }
+
+      return session;
+    });
+}
+
+/**
+ * Joins saved chunks of the session into one file
+ *
+ * @param {{id: string, mimeType: string}} session - unfinished session
+ * @returns {Promise<Blob>}
+ */
+export function restoreSession(session) {
+  return storage.getRange(storage.STORES.CHUNKS, [session.id, 0], [session.id, Infinity])
+    .then((chunks) => {
+      if (!chunks.length) {
+        throw new Error('recording has no saved data');
+      }
+
+      return new window.Blob(chunks.map(({ blob }) => blob), { type: session.mimeType });
+    });
+}
@@ -0,0 +1,132 @@
+import { getAudioContextClass } from './audio';
+
+/**
+ * How often the input level is checked, ms.
+ * Timer is used instead of animation frames, so detection works in background tabs
+ *
+ * @type {number}
+ */
+const CHECK_INTERVAL = 100;
+
+/**
+ * Module for voice-activity detection. Reads the recording stream
+ * through a Web Audio analyser and reports long enough silence
+ */
+export default class SilenceDetector {
+  /**
+   * @param {object} params - detector params
+   * @param {number} params.threshold - RMS level from 0 to 1 below which input is silent
+   * @param {number} params.duration - silence length in ms that fires onSilence
+   * @param {Function} params.onSilence - callback fired once when silence lasts long enough
+   */
+  constructor({
+    threshold,
+    duration,
+    onSilence,
+  }) {
+    this.threshold = threshold;
+    this.duration = duration;
+    this.onSilence = onSilence;
+
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.samples = null;
+    this.interval = null;
+    this.silentSince = null;
+    this.isPaused = false;
+  }
+
+  /**
+   * Starts listening to the passed stream
+   *
+   * @param {MediaStream} stream - recording stream
+   * @returns {void}
+   */
+  start(stream) {
+    const AudioContext = getAudioContextClass();
+
+    this.stop();
+
+    if (!AudioContext || !stream) {
+      return;
+    }
+
+    this.audioContext = new AudioContext();
+    this.source = this.audioContext.createMediaStreamSource(stream);
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.samples = new Float32Array(this.analyser.fftSize);
+    this.source.connect(this.analyser);
+
+    this.isPaused = false;
+    this.silentSince = Date.now();
+    this.interval = setInterval(() => this.check(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Silence is not counted while recording is paused
+   *
+   * @param {boolean} isPaused - pause state of the recording
+   * @returns {void}
+   */
+  togglePaused(isPaused) {
+    this.isPaused = isPaused;
+    this.silentSince = Date.now();
+  }
+
+  /**
+   * Stops listening and releases audio context
+   *
+   * @returns {void}
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+
+    if (this.source) {
+      this.source.disconnect();
+    }
+
+    if (this.audioContext) {
+      this.audioContext.close();
+    }
+
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+  }
+
+  /**
+   * Measures input level and fires onSilence after the configured duration
+   *
+   * @private
+   * @returns {void}
+   */
+  check() {
+    if (this.isPaused) {
+      return;
+    }
+
+    this.analyser.getFloatTimeDomainData(this.samples);
+
+    let sum = 0;
+
+    for (let i = 0; i < this.samples.length; i++) {
+      sum += this.samples[i] * this.samples[i];
+    }
+
+    const now = Date.now();
+
+    if (Math.sqrt(sum / this.samples.length) >= this.threshold) {
+      this.silentSince = now;
+
+      return;
+    }
+
+    if (now - this.silentSince >= this.duration) {
+      this.stop();
+      this.onSilence();
+    }
+  }
+}
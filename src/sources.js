@@ -0,0 +1,136 @@
+import { getAudioContextClass } from './audio';
+
+/**
+ * Audio sources the Recorder can record from.
+ * Each one resolves with {stream, tracks, release}:
+ *  - stream — stream with audio tracks to record
+ *  - tracks — tracks whose end means the source is gone, e.g. unplugged microphone or stopped screen sharing
+ *  - release — stops everything acquired for this source
+ *
+ * @typedef {{stream: MediaStream, tracks: MediaStreamTrack[], release: Function}} AudioSource
+ */
+
+/**
+ * Source names for config.recorder.source
+ *
+ * @type {{MICROPHONE: string, DISPLAY: string, MIXED: string}}
+ */
+export const SOURCES = {
+  MICROPHONE: 'microphone',
+  DISPLAY: 'display',
+  MIXED: 'mixed',
+};
+
+/**
+ * Requests microphone stream
+ *
+ * @param {MediaTrackConstraints|boolean} constraints - audio constraints
+ * @returns {Promise<AudioSource>}
+ */
+export function fromMicrophone(constraints) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return Promise.reject(new Error('Not supported on your browser!'));
+  }
+
+  return navigator.mediaDevices.getUserMedia({ audio: constraints })
+    .then((stream) => ({
+      stream,
+      tracks: stream.getAudioTracks(),
+      release: () => stopTracks(stream.getTracks()),
+    }));
+}
+
+/**
+ * Requests tab or system audio through screen sharing.
+ * Browsers require video to be shared too, it is kept running but not recorded
+ *
+ * @returns {Promise<AudioSource>}
+ */
+export function fromDisplay() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    return Promise.reject(new Error('Screen sharing is not supported on your browser!'));
+  }
+
+  return navigator.mediaDevices.getDisplayMedia({
+    video: true,
+    audio: true,
+  })
+    .then((display) => {
+      const audioTracks = display.getAudioTracks();
+
+      if (!audioTracks.length) {
+        stopTracks(display.getTracks());
+        throw new Error('audio was not shared');
+      }
+
+      return {
+        stream: new window.MediaStream(audioTracks),
+        tracks: display.getTracks(),
+        release: () => stopTracks(display.getTracks()),
+      };
+    });
+}
+
+/**
+ * Wraps a stream supplied by the host app.
+ * Its tracks are not stopped on release: the host owns them
+ *
+ * @param {Function} getStream - config.recorder.getStream, returns MediaStream or Promise of it
+ * @returns {Promise<AudioSource>}
+ */
+export function fromHost(getStream) {
+  return Promise.resolve()
+    .then(() => getStream())
+    .then((stream) => {
+      if (!stream || typeof stream.getAudioTracks !== 'function' || !stream.getAudioTracks().length) {
+        throw new Error('config.recorder.getStream() returned no audio tracks');
+      }
+
+      return {
+        stream,
+        tracks: stream.getAudioTracks(),
+        release: () => {},
+      };
+    });
+}
+
+/**
+ * Mixes several sources into one stream through Web Audio
+ *
+ * @param {AudioSource[]} sources - sources to mix
+ * @returns {AudioSource}
+ */
+export function mix(sources) {
+  const AudioContext = getAudioContextClass();
+
+  if (!AudioContext) {
+    sources.forEach((source) => source.release());
+    throw new Error('Web Audio is not supported on your browser');
+  }
+
+  const context = new AudioContext();
+  const destination = context.createMediaStreamDestination();
+
+  sources.forEach(({ stream }) => {
+    context.createMediaStreamSource(stream).connect(destination);
+  });
+
+  return {
+    stream: destination.stream,
+    tracks: sources.reduce((tracks, source) => tracks.concat(source.tracks), []),
+    release: () => {
+      context.close();
+      sources.forEach((source) => source.release());
+    },
+  };
+}
+
+/**
+ * Stops passed tracks
+ *
+ * @param {MediaStreamTrack[]} tracks - tracks to stop
+ * @returns {void}
+ */
+function stopTracks(tracks) {
+  tracks.forEach((track) => track.stop());
+}
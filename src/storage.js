@@ -0,0 +1,179 @@
+/**
+ * Promise wrappers over IndexedDB used to keep recordings on the device
+ */
+
+/**
+ * Database name shared by all Voice Tool instances on the page origin
+ *
+ * @type {string}
+ */
+const DB_NAME = 'editorjs-voice';
+
+/**
+ * Database schema version, increase it when adding stores
+ *
+ * @type {number}
+ */
+const DB_VERSION = 2;
+
+/**
+ * Object stores
+ *
+ * @type {{QUEUE: string, SESSIONS: string, CHUNKS: string}}
+ */
+export const STORES = {
+  /**
+   * Recordings waiting for upload
+   */
+  QUEUE: 'queue',
+
+  /**
+   * Recordings in progress
+   */
+  SESSIONS: 'sessions',
+
+  /**
+   * Chunks of recordings in progress, id is [sessionId, sequence]
+   */
+  CHUNKS: 'chunks',
+};
+
+/**
+ * Opened database connection
+ *
+ * @type {Promise<IDBDatabase>|null}
+ */
+let connection = null;
+
+/**
+ * Check if IndexedDB is available
+ *
+ * @returns {boolean}
+ */
+export function isSupported() {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+}
+
+/**
+ * Saves record by its id
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @param {object} value - record with the 'id' property
+ * @returns {Promise<string>} record id
+ */
+export function put(storeName, value) {
+  return request(storeName, 'readwrite', (store) => store.put(value));
+}
+
+/**
+ * Returns record by id
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @param {string} id - record id
+ * @returns {Promise<object|undefined>}
+ */
+export function get(storeName, id) {
+  return request(storeName, 'readonly', (store) => store.get(id));
+}
+
+/**
+ * Returns all records of the store
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @returns {Promise<object[]>}
+ */
+export function getAll(storeName) {
+  return request(storeName, 'readonly', (store) => store.getAll());
+}
+
+/**
+ * Returns records with ids in the passed range, ordered by id
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @param {*} lower - lowest id
+ * @param {*} upper - highest id
+ * @returns {Promise<object[]>}
+ */
+export function getRange(storeName, lower, upper) {
+  return request(storeName, 'readonly', (store) => store.getAll(window.IDBKeyRange.bound(lower, upper)));
+}
+
+/**
+ * Deletes records with ids in the passed range
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @param {*} lower - lowest id
+ * @param {*} upper - highest id
+ * @returns {Promise<void>}
+ */
+export function removeRange(storeName, lower, upper) {
+  return request(storeName, 'readwrite', (store) => store.delete(window.IDBKeyRange.bound(lower, upper)));
+}
+
+/**
+ * Deletes record by id
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @param {string} id - record id
+ * @returns {Promise<void>}
+ */
+export function remove(storeName, id) {
+  return request(storeName, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Opens database and creates missing stores
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function open() {
+  if (!connection) {
+    connection = new Promise((resolve, reject) => {
+      const openRequest = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      openRequest.onupgradeneeded = () => {
+        const db = openRequest.result;
+
+        Object.values(STORES).forEach((storeName) => {
+          if (!db.objectStoreNames.contains(storeName)) {
+            db.createObjectStore(storeName, { keyPath: 'id' });
+          }
+        });
+      };
+      openRequest.onsuccess = () => resolve(openRequest.result);
+      openRequest.onerror = () => reject(openRequest.error);
+    });
+
+    connection.catch(() => {
+      connection = null;
+    });
+  }
+
+  return connection;
+}
+
+/**
+ * Runs one request in a transaction
+ *
+ * @param {string} storeName - one of {@link STORES}
+ * @param {string} mode - transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} action - creates request
+ * @returns {Promise<*>} request result
+ */
+function request(storeName, mode, action) {
+  if (!isSupported()) {
+    return Promise.reject(new Error('IndexedDB is not supported on your browser'));
+  }
+
+  return open()
+    .then((db) => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const storeRequest = action(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(storeRequest.result);
+      transaction.onerror = () => reject(transaction.error);
+
+      // transaction aborted by exceeded quota or version change fires no 'error' on it
+      transaction.onabort = () => reject(transaction.error || new Error('transaction aborted'));
+    }));
+}
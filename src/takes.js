@@ -0,0 +1,194 @@
+import { make } from './utils';
+
+/**
+ * Module for the list of takes recorded in one Block.
+ * Each take can be listened to, renamed, deleted or made the active one
+ */
+export default class Takes {
+  /**
+   * @param {object} params - takes module params
+   * @param {object} params.api - Editor.js API
+   * @param {Function} params.onSelect - callback for Use button, receives take id
+   * @param {Function} params.onRename - callback for name changes, receives take id and new name
+   * @param {Function} params.onDelete - callback for Delete button, receives take id
+   */
+  constructor({
+    api,
+    onSelect,
+    onRename,
+    onDelete,
+  }) {
+    this.api = api;
+    this.onSelect = onSelect;
+    this.onRename = onRename;
+    this.onDelete = onDelete;
+
+    /**
+     * Take played from the list, independent of the main player
+     *
+     * @type {string|null}
+     */
+    this.playingId = null;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper, { hidden: true }),
+      audio: make('audio'),
+    };
+
+    this.nodes.audio.addEventListener('ended', () => this.stop());
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'voice-tool__takes',
+      item: 'voice-tool__take',
+      itemActive: 'voice-tool__take--active',
+      itemPlaying: 'voice-tool__take--playing',
+      play: 'voice-tool__take-play',
+      name: 'voice-tool__take-name',
+      button: 'voice-tool__take-button',
+    };
+  }
+
+  /**
+   * Takes list root element
+   *
+   * @returns {Element}
+   */
+  get element() {
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Renders the list. It is shown when there are several takes
+   *
+   * @param {{id: string, name: string, file: object}[]} takes - recorded takes
+   * @param {string|null} activeId - id of the active take
+   * @returns {void}
+   */
+  render(takes, activeId) {
+    if (!takes.some(({ id }) => id === this.playingId)) {
+      this.stop();
+    }
+
+    this.nodes.wrapper.innerHTML = '';
+    this.nodes.wrapper.hidden = takes.length < 2;
+
+    takes.forEach((take) => {
+      this.nodes.wrapper.appendChild(this.createItem(take, take.id === activeId));
+    });
+  }
+
+  /**
+   * Stops playing take
+   *
+   * @returns {void}
+   */
+  stop() {
+    const item = this.nodes.wrapper.querySelector(`.${this.CSS.itemPlaying}`);
+
+    if (item) {
+      item.classList.remove(this.CSS.itemPlaying);
+    }
+
+    this.nodes.audio.pause();
+    this.playingId = null;
+  }
+
+  /**
+   * Creates list item
+   *
+   * @private
+   * @param {{id: string, name: string, file: object}} take - take data
+   * @param {boolean} isActive - is take the active one
+   * @returns {Element}
+   */
+  createItem(take, isActive) {
+    const item = make('div', [ this.CSS.item ].concat(isActive ? this.CSS.itemActive : []));
+    const playButton = make('button', [this.CSS.button, this.CSS.play], {
+      type: 'button',
+      textContent: '▶',
+      title: this.api.i18n.t('Play'),
+      disabled: !take.file || !take.file.url,
+    });
+    const name = make('input', [this.api.styles.input, this.CSS.name], {
+      value: take.name,
+      title: this.api.i18n.t('Take name'),
+    });
+    const useButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: isActive ? this.api.i18n.t('Active') : this.api.i18n.t('Use'),
+      disabled: isActive,
+    });
+    const deleteButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Delete'),
+    });
+
+    playButton.setAttribute('aria-label', this.api.i18n.t('Play'));
+    playButton.addEventListener('click', () => this.togglePlay(take, item));
+
+    /**
+     * Enter finishes editing instead of creating a new Block
+     */
+    name.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        name.blur();
+      }
+    });
+    name.addEventListener('change', () => {
+      const value = name.value.trim();
+
+      if (value) {
+        this.onRename(take.id, value);
+      } else {
+        name.value = take.name;
+      }
+    });
+
+    useButton.addEventListener('click', () => this.onSelect(take.id));
+    deleteButton.addEventListener('click', () => this.onDelete(take.id));
+
+    if (take.id === this.playingId) {
+      item.classList.add(this.CSS.itemPlaying);
+    }
+
+    item.append(playButton, name, useButton, deleteButton);
+
+    return item;
+  }
+
+  /**
+   * Plays take or stops it when it is playing
+   *
+   * @private
+   * @param {{id: string, file: object}} take - take data
+   * @param {Element} item - list item
+   * @returns {void}
+   */
+  togglePlay(take, item) {
+    const isPlaying = this.playingId === take.id;
+
+    this.stop();
+
+    if (isPlaying) {
+      return;
+    }
+
+    this.playingId = take.id;
+    item.classList.add(this.CSS.itemPlaying);
+    this.nodes.audio.src = take.file.url;
+    this.nodes.audio.play()
+      .catch((error) => {
+        console.log('Voice Tool: take playback failed because of', error);
+        this.stop();
+      });
+  }
+}
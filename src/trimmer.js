@@ -0,0 +1,270 @@
+import { make } from './utils';
+import { computePeaks } from './audio';
+import { formatTime } from './player';
+
+/**
+ * Number of waveform bars drawn under the handles
+ *
+ * @type {number}
+ */
+const TRIMMER_PEAKS_COUNT = 200;
+
+/**
+ * Shortest part of the voice that can be kept, in seconds
+ *
+ * @type {number}
+ */
+const MIN_LENGTH = 0.5;
+
+/**
+ * Seconds to move a focused handle with arrow keys, multiplied by 10 with Shift
+ *
+ * @type {number}
+ */
+const KEY_STEP = 0.1;
+
+/**
+ * Module for cutting the beginning and the end of the voice.
+ * Shows waveform of the decoded audio with draggable start and end handles
+ */
+export default class Trimmer {
+  /**
+   * @param {object} params - trimmer module params
+   * @param {object} params.api - Editor.js API
+   * @param {AudioBuffer} params.audioBuffer - decoded voice
+   * @param {Function} params.onApply - callback for Apply button, receives start and end in seconds
+   * @param {Function} params.onCancel - callback for Cancel button
+   */
+  constructor({
+    api,
+    audioBuffer,
+    onApply,
+    onCancel,
+  }) {
+    this.api = api;
+    this.duration = audioBuffer.duration;
+    this.peaks = computePeaks(audioBuffer, TRIMMER_PEAKS_COUNT);
+    this.start = 0;
+    this.end = this.duration;
+
+    this.nodes = {
+      wrapper: make('div', this.CSS.wrapper),
+      area: make('div', this.CSS.area),
+      waveform: make('canvas', this.CSS.waveform),
+      selection: make('div', this.CSS.selection),
+      startHandle: this.createHandle(this.api.i18n.t('Trim start')),
+      endHandle: this.createHandle(this.api.i18n.t('Trim end')),
+      time: make('div', this.CSS.time),
+      applyButton: make('button', this.api.styles.button, {
+        type: 'button',
+        textContent: this.api.i18n.t('Trim'),
+      }),
+      cancelButton: make('button', this.api.styles.button, {
+        type: 'button',
+        textContent: this.api.i18n.t('Cancel'),
+      }),
+    };
+
+    /**
+     * Create base structure
+     *  <wrapper>
+     *    <area>
+     *      <waveform />
+     *      <selection />
+     *      <start-handle />
+     *      <end-handle />
+     *    </area>
+     *    <time />
+     *    <apply-button />
+     *    <cancel-button />
+     *  </wrapper>
+     */
+    this.nodes.area.append(this.nodes.waveform, this.nodes.selection, this.nodes.startHandle, this.nodes.endHandle);
+    this.nodes.wrapper.append(this.nodes.area, this.nodes.time, this.nodes.applyButton, this.nodes.cancelButton);
+
+    this.bindHandle(this.nodes.startHandle, 'start');
+    this.bindHandle(this.nodes.endHandle, 'end');
+    this.nodes.applyButton.addEventListener('click', () => onApply(this.start, this.end));
+    this.nodes.cancelButton.addEventListener('click', () => onCancel());
+
+    /**
+     * Canvas has no size until the element is added to the page
+     */
+    window.requestAnimationFrame(() => this.update());
+  }
+
+  /**
+   * CSS classes
+   *
+   * @returns {object}
+   */
+  get CSS() {
+    return {
+      wrapper: 'voice-tool__trimmer',
+      area: 'voice-tool__trimmer-area',
+      waveform: 'voice-tool__trimmer-waveform',
+      selection: 'voice-tool__trimmer-selection',
+      handle: 'voice-tool__trimmer-handle',
+      time: 'voice-tool__trimmer-time',
+    };
+  }
+
+  /**
+   * Trimmer root element
+   *
+   * @returns {Element}
+   */
+  get element() {
+    return this.nodes.wrapper;
+  }
+
+  /**
+   * Creates draggable handle
+   *
+   * @private
+   * @param {string} title - accessible handle title
+   * @returns {Element}
+   */
+  createHandle(title) {
+    const handle = make('div', this.CSS.handle, { tabIndex: 0 });
+
+    handle.setAttribute('role', 'slider');
+    handle.setAttribute('aria-label', title);
+    handle.setAttribute('aria-valuemin', '0');
+    handle.setAttribute('aria-valuemax', String(Math.round(this.duration)));
+
+    return handle;
+  }
+
+  /**
+   * Moves handle by pointer dragging and arrow keys
+   *
+   * @private
+   * @param {Element} handle - handle element
+   * @param {string} edge - 'start' or 'end'
+   * @returns {void}
+   */
+  bindHandle(handle, edge) {
+    handle.addEventListener('pointerdown', (event) => {
+      const onMove = (moveEvent) => this.moveToPointer(edge, moveEvent);
+      const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+      };
+
+      event.preventDefault();
+      document.addEventListener('pointermove', onMove);
+      document.addEventListener('pointerup', onUp);
+    });
+
+    handle.addEventListener('keydown', (event) => {
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        const step = (event.shiftKey ? KEY_STEP * 10 : KEY_STEP) * (event.key === 'ArrowLeft' ? -1 : 1);
+
+        event.preventDefault();
+        event.stopPropagation();
+        this.setEdge(edge, this[edge] + step);
+      }
+    });
+  }
+
+  /**
+   * Moves handle to the time under the pointer
+   *
+   * @private
+   * @param {string} edge - 'start' or 'end'
+   * @param {PointerEvent} event - pointer event
+   * @returns {void}
+   */
+  moveToPointer(edge, event) {
+    const rect = this.nodes.area.getBoundingClientRect();
+
+    if (!rect.width) {
+      return;
+    }
+
+    this.setEdge(edge, (event.clientX - rect.left) / rect.width * this.duration);
+  }
+
+  /**
+   * Changes start or end of the kept part, keeping at least {@link MIN_LENGTH} between them
+   *
+   * @private
+   * @param {string} edge - 'start' or 'end'
+   * @param {number} seconds - new position
+   * @returns {void}
+   */
+  setEdge(edge, seconds) {
+    const minLength = Math.min(MIN_LENGTH, this.duration);
+
+    if (edge === 'start') {
+      this.start = Math.min(Math.max(seconds, 0), this.end - minLength);
+    } else {
+      this.end = Math.max(Math.min(seconds, this.duration), this.start + minLength);
+    }
+
+    this.update();
+  }
+
+  /**
+   * Updates handles, selection and time text
+   *
+   * @private
+   * @returns {void}
+   */
+  update() {
+    const startRatio = this.duration ? this.start / this.duration : 0;
+    const endRatio = this.duration ? this.end / this.duration : 1;
+
+    this.nodes.startHandle.style.left = `${startRatio * 100}%`;
+    this.nodes.endHandle.style.left = `${endRatio * 100}%`;
+    this.nodes.selection.style.left = `${startRatio * 100}%`;
+    this.nodes.selection.style.width = `${(endRatio - startRatio) * 100}%`;
+    this.nodes.startHandle.setAttribute('aria-valuenow', String(Math.round(this.start)));
+    this.nodes.endHandle.setAttribute('aria-valuenow', String(Math.round(this.end)));
+    this.nodes.time.textContent = `${formatTime(this.start)} – ${formatTime(this.end)} (${formatTime(this.end - this.start)})`;
+
+    this.drawWaveform(startRatio, endRatio);
+  }
+
+  /**
+   * Draws waveform bars, kept part is highlighted
+   *
+   * @private
+   * @param {number} from - kept part start from 0 to 1
+   * @param {number} to - kept part end from 0 to 1
+   * @returns {void}
+   */
+  drawWaveform(from, to) {
+    const canvas = this.nodes.waveform;
+
+    if (!canvas.clientWidth) {
+      return;
+    }
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth * ratio;
+    const height = canvas.clientHeight * ratio;
+
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const context = canvas.getContext('2d');
+    const style = window.getComputedStyle(canvas);
+    const keptColor = style.getPropertyValue('--front-color').trim();
+    const cutColor = style.getPropertyValue('--bg-color').trim();
+    const barWidth = width / this.peaks.length;
+
+    context.clearRect(0, 0, width, height);
+
+    this.peaks.forEach((peak, index) => {
+      const position = (index + 0.5) / this.peaks.length;
+      const barHeight = Math.max(ratio, peak * height);
+
+      context.fillStyle = position >= from && position <= to ? keptColor : cutColor;
+      context.fillRect(index * barWidth, (height - barHeight) / 2, Math.max(ratio, barWidth - ratio), barHeight);
+    });
+  }
+}
@@ -0,0 +1,113 @@
+import { make } from './utils';
+import borderIcon from './svg/border.svg';
+import stretchedIcon from './svg/stretched.svg';
+import bgIcon from './svg/background.svg';
+
+/**
+ * Working with Block Tunes: built-in ones and custom actions from config.actions
+ */
+export default class Tunes {
+  /**
+   * @param {object} tune - tune params
+   * @param {object} tune.api - Editor.js API
+   * @param {{name: string, icon: string, title: string, action: Function}[]} tune.actions - custom actions
+   * @param {Function} tune.onChange - tune toggling callback, receives tune name
+   */
+  constructor({ api, actions, onChange }) {
+    this.api = api;
+    this.actions = actions;
+    this.onChange = onChange;
+    this.buttons = [];
+  }
+
+  /**
+   * Available built-in tunes
+   *
+   * @returns {{name: string, icon: string, title: string}[]}
+   */
+  static get tunes() {
+    return [
+      {
+        name: 'withBorder',
+        icon: borderIcon,
+        title: 'With border',
+      },
+      {
+        name: 'stretched',
+        icon: stretchedIcon,
+        title: 'Stretch voice',
+      },
+      {
+        name: 'withBackground',
+        icon: bgIcon,
+        title: 'With background',
+      },
+    ];
+  }
+
+  /**
+   * Styles
+   *
+   * @returns {{wrapper: string, buttonBase: *, button: string, buttonActive: *}}
+   */
+  get CSS() {
+    return {
+      wrapper: '',
+      buttonBase: this.api.styles.settingsButton,
+      button: 'voice-tool__tune',
+      buttonActive: this.api.styles.settingsButtonActive,
+    };
+  }
+
+  /**
+   * Makes buttons with tunes: add background, add border, stretch voice and custom actions
+   *
+   * @param {VoiceRecordData} toolData - generate Elements of tunes
+   * @returns {Element}
+   */
+  render(toolData) {
+    const wrapper = make('div', this.CSS.wrapper);
+
+    this.buttons = [];
+
+    Tunes.tunes.concat(this.actions).forEach((tune) => {
+      const title = this.api.i18n.t(tune.title);
+      const button = make('div', [this.CSS.buttonBase, this.CSS.button], {
+        innerHTML: tune.icon,
+        title,
+      });
+
+      button.addEventListener('click', () => {
+        this.tuneClicked(tune.name, tune.action);
+      });
+
+      button.dataset.tune = tune.name;
+      button.classList.toggle(this.CSS.buttonActive, !!toolData[tune.name]);
+
+      this.buttons.push(button);
+      wrapper.appendChild(button);
+    });
+
+    return wrapper;
+  }
+
+  /**
+   * Clicks to one of the tunes.
+   * Custom action toggles its tune only when it returns true
+   *
+   * @param {string} tuneName - clicked tune name
+   * @param {Function} [customFunction] - function to execute on click
+   * @returns {void}
+   */
+  tuneClicked(tuneName, customFunction) {
+    if (typeof customFunction === 'function' && !customFunction(tuneName)) {
+      return;
+    }
+
+    const button = this.buttons.find((el) => el.dataset.tune === tuneName);
+
+    button.classList.toggle(this.CSS.buttonActive, !button.classList.contains(this.CSS.buttonActive));
+
+    this.onChange(tuneName);
+  }
+}
@@ -1,5 +1,12 @@
 import recordIcon from './svg/record-icon.svg';
 import pausedIcon from './svg/paused-icon.svg';
+import uploadIcon from './svg/upload-icon.svg';
+import Meter from './meter';
+import Player from './player';
+import Trimmer from './trimmer';
+import Takes from './takes';
+import Markers from './markers';
+import { make } from './utils';
 
 /**
  * Class for working with UI:
@@ -13,6 +20,17 @@ export default class Ui {
    * @param {object} ui.api - Editor.js API
    * @param {VoiceConfig} ui.config - user config
    * @param {Function} ui.onSelectFile - callback for clicks on Select file button
+   * @param {Function} ui.onDropFile - callback for files dropped onto the empty Block, receives File
+   * @param {Function} ui.cancelUploading - callback for clicks on Cancel button of the uploading progress
+   * @param {Function} ui.startTrimming - callback for clicks on Trim button
+   * @param {Function} ui.undoTrimming - callback for clicks on Undo trim button
+   * @param {Function} ui.startAppending - callback for clicks on Append recording button
+   * @param {Function} ui.startNewTake - callback for clicks on New take button
+   * @param {object} ui.takes - callbacks for the takes list: onSelect, onRename, onDelete
+   * @param {object} ui.markers - callbacks for markers: onAdd, onRename, onDelete
+   * @param {Function} ui.addRecordingMarker - callback for Marker button shown while recording
+   * @param {Function} ui.selectMicrophone - callback for microphone choice, receives device id
+   * @param {Function} ui.changeTranscript - callback for transcript edits, receives new text
    * @param {boolean} ui.readOnly - read-only mode flag
    */
   constructor({
@@ -20,37 +38,138 @@ export default class Ui {
     config,
     toggleRecording,
     togglePauseRecording,
+    onSelectFile,
+    onDropFile,
+    cancelUploading,
+    startTrimming,
+    undoTrimming,
+    startAppending,
+    startNewTake,
+    takes,
+    markers,
+    addRecordingMarker,
+    selectMicrophone,
+    changeTranscript,
     readOnly
   }) {
     this.api = api;
     this.config = config;
     this.toggleRecording = toggleRecording;
     this.togglePauseRecording = togglePauseRecording;
+    this.onSelectFile = onSelectFile;
+    this.onDropFile = onDropFile;
+    this.cancelUploading = cancelUploading;
+    this.startTrimming = startTrimming;
+    this.undoTrimming = undoTrimming;
+    this.startAppending = startAppending;
+    this.startNewTake = startNewTake;
+    this.addRecordingMarker = addRecordingMarker;
+    this.onAddMarker = markers.onAdd;
+    this.selectMicrophone = selectMicrophone;
+    this.changeTranscript = changeTranscript;
     this.readOnly = readOnly;
     const timerComponent = this.createTimerElement();
     const btnPaused = this.createBtnPausedElement();
+    const meterComponent = this.createMeterElement();
+    const microphoneSelect = this.createMicrophoneSelect();
+    const fileButton = this.createFileButton();
+    const markerButton = this.createRecordingMarkerButton();
+    const undoTrimButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Undo trim'),
+      hidden: true,
+    });
+
+    /**
+     * List of takes recorded in the Block
+     */
+    this.takes = new Takes(Object.assign({ api }, takes));
+
+    /**
+     * Chapters list of the voice, its markers are also shown on the player timeline
+     */
+    this.markers = new Markers({
+      api,
+      readOnly,
+      onSeek: (time) => this.player && this.player.seek(time),
+      onRename: markers.onRename,
+      onDelete: markers.onDelete,
+    });
+    this.markerList = [];
     this.nodes = {
       wrapper: make('div', [this.CSS.baseClass, this.CSS.wrapper]),
       audioContainer: make('div', [this.CSS.audioContainer]),
       timerComponent,
       btnPaused,
-      recordComponent: this.createRecordComponent(timerComponent, btnPaused),
+      meterComponent,
+      microphoneSelect,
+      fileButton,
+      markerButton,
+      recordComponent: this.createRecordComponent(timerComponent, btnPaused, meterComponent, microphoneSelect, fileButton, markerButton),
       audioEl: undefined,
       voicePreloader: make('div', this.CSS.voicePreloader),
+      progress: this.createProgressElement(),
+      pendingLabel: make('div', this.CSS.pendingLabel),
+      recoveryPrompt: make('div', this.CSS.recoveryPrompt),
+      reviewActions: make('div', this.CSS.reviewActions),
+      undoTrimButton,
+      editActions: this.createEditActions(undoTrimButton),
+      trimmerContainer: make('div', this.CSS.trimmerContainer),
+      transcript: this.createTranscript(),
+      title: this.createTextField(this.CSS.title, this.config.titlePlaceholder, true),
+      caption: this.createTextField(this.CSS.caption, this.config.captionPlaceholder),
     };
 
     /**
      * Create base structure
      *  <wrapper>
+     *    <title />
      *    <voice-container>
      *      <voice-preloader />
+     *      <upload-progress />
      *    </voice-container>
+     *    <trimmer-container />
+     *    <markers />
+     *    <caption />
+     *    <transcript />
+     *    <edit-actions />
+     *    <takes />
+     *    <pending-label />
+     *    <recovery-prompt />
+     *    <review-actions />
      *    <select-file-button />
      *  </wrapper>
      */
     this.nodes.audioContainer.appendChild(this.nodes.voicePreloader);
+    this.nodes.audioContainer.appendChild(this.nodes.progress);
+    this.nodes.pendingLabel.textContent = this.api.i18n.t('Waiting for connection to upload');
+    this.nodes.wrapper.appendChild(this.nodes.title);
     this.nodes.wrapper.appendChild(this.nodes.audioContainer);
+    this.nodes.wrapper.appendChild(this.nodes.trimmerContainer);
+    this.nodes.wrapper.appendChild(this.markers.element);
+    this.nodes.wrapper.appendChild(this.nodes.caption);
+    this.nodes.wrapper.appendChild(this.nodes.transcript);
+
+    if (!this.readOnly) {
+      this.nodes.wrapper.appendChild(this.nodes.editActions);
+      this.nodes.wrapper.appendChild(this.takes.element);
+    }
+    this.nodes.wrapper.appendChild(this.nodes.pendingLabel);
+    this.nodes.wrapper.appendChild(this.nodes.recoveryPrompt);
+    this.nodes.wrapper.appendChild(this.nodes.reviewActions);
     this.nodes.wrapper.appendChild(this.nodes.recordComponent);
+
+    if (!this.readOnly) {
+      this.addDropListeners();
+    }
+
+    /**
+     * Live input meter shown while recording
+     */
+    this.meter = new Meter({
+      canvas: this.nodes.meterComponent.querySelector('canvas'),
+      onClipping: (isClipping) => this.toggleClipping(isClipping),
+    });
   }
 
   /**
@@ -63,6 +182,7 @@ export default class Ui {
       baseClass: this.api.styles.block,
       loading: this.api.styles.loader,
       input: this.api.styles.input,
+      button: this.api.styles.button,
 
       recordComponent: 'voice-tool__record-component',
 
@@ -72,7 +192,34 @@ export default class Ui {
       wrapper: 'voice-tool',
       audioContainer: 'voice-tool__voice',
       voicePreloader: 'voice-tool__voice-preloader',
+      progress: 'voice-tool__progress',
+      progressBar: 'voice-tool__progress-bar',
+      progressFill: 'voice-tool__progress-fill',
+      progressText: 'voice-tool__progress-text',
       audioEl: 'voice-tool__voice-picture',
+      pendingLabel: 'voice-tool__pending-label',
+      pending: 'voice-tool--pending',
+      recoveryPrompt: 'voice-tool__recovery',
+      recoveryText: 'voice-tool__recovery-text',
+      recovering: 'voice-tool--recovering',
+      reviewActions: 'voice-tool__review',
+      reviewText: 'voice-tool__review-text',
+      reviewing: 'voice-tool--reviewing',
+      editActions: 'voice-tool__edit',
+      editAppend: 'voice-tool__edit-append',
+      editNewTake: 'voice-tool__edit-new-take',
+      editMarker: 'voice-tool__edit-marker',
+      trimmerContainer: 'voice-tool__trimmer-container',
+      trimming: 'voice-tool--trimming',
+      appending: 'voice-tool--appending',
+      newTake: 'voice-tool--new-take',
+      dragOver: 'voice-tool--drag-over',
+      title: 'voice-tool__title',
+      caption: 'voice-tool__caption',
+      transcript: 'voice-tool__transcript',
+      transcriptLabel: 'voice-tool__transcript-label',
+      transcriptText: 'voice-tool__transcript-text',
+      transcribing: 'voice-tool--transcribing',
     };
   };
 
@@ -128,13 +275,373 @@ export default class Ui {
     return btnPaused;
   }
 
+  /**
+   * Creates live input meter with the clipping warning
+   *
+   * @returns {Element}
+   */
+  createMeterElement() {
+    const recordMeter = make('div', [ 'record-meter' ]);
+    const canvas = make('canvas', [ 'record-meter-canvas' ]);
+    const warning = make('span', [ 'record-meter-warning' ]);
+
+    warning.textContent = this.api.i18n.t('Too loud');
+
+    recordMeter.append(canvas);
+    recordMeter.append(warning);
+
+    return recordMeter;
+  }
+
+  /**
+   * Creates uploading progress with the Cancel button
+   *
+   * @returns {Element}
+   */
+  createProgressElement() {
+    const progress = make('div', this.CSS.progress);
+    const bar = make('div', this.CSS.progressBar, {
+      role: 'progressbar',
+    });
+    const fill = make('div', this.CSS.progressFill);
+    const text = make('span', this.CSS.progressText);
+    const cancelButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Cancel'),
+    });
+
+    bar.setAttribute('aria-valuemin', '0');
+    bar.setAttribute('aria-valuemax', '100');
+    bar.append(fill);
+    cancelButton.addEventListener('click', () => {
+      this.cancelUploading && this.cancelUploading();
+    });
+
+    progress.append(bar, text, cancelButton);
+
+    return progress;
+  }
+
+  /**
+   * Creates buttons for editing the filled voice
+   *
+   * @param {Element} undoTrimButton - Undo trim button, shown only when the voice has the untrimmed original
+   * @returns {Element}
+   */
+  createEditActions(undoTrimButton) {
+    const editActions = make('div', this.CSS.editActions);
+    const appendButton = make('button', [this.CSS.button, this.CSS.editAppend], {
+      type: 'button',
+      textContent: this.api.i18n.t('Append recording'),
+    });
+    const newTakeButton = make('button', [this.CSS.button, this.CSS.editNewTake], {
+      type: 'button',
+      textContent: this.api.i18n.t('New take'),
+    });
+    const markerButton = make('button', [this.CSS.button, this.CSS.editMarker], {
+      type: 'button',
+      textContent: this.api.i18n.t('Add marker'),
+      title: this.api.i18n.t('Add marker at the playback position'),
+    });
+    const trimButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Trim'),
+    });
+
+    appendButton.addEventListener('click', () => {
+      this.startAppending && this.startAppending();
+    });
+    newTakeButton.addEventListener('click', () => {
+      this.startNewTake && this.startNewTake();
+    });
+    markerButton.addEventListener('click', () => {
+      this.onAddMarker && this.onAddMarker();
+    });
+    trimButton.addEventListener('click', () => {
+      this.startTrimming && this.startTrimming();
+    });
+    undoTrimButton.addEventListener('click', () => {
+      this.undoTrimming && this.undoTrimming();
+    });
+
+    editActions.append(newTakeButton, appendButton, markerButton, trimButton, undoTrimButton);
+
+    return editActions;
+  }
+
+  /**
+   * Creates title or caption field: editable input, or plain text in read-only mode
+   *
+   * @param {string} className - field class
+   * @param {string} placeholder - text shown while the field is empty
+   * @param {boolean} [isSingleLine] - Enter neither breaks the line nor creates a new Block, used for the title
+   * @returns {Element}
+   */
+  createTextField(className, placeholder, isSingleLine = false) {
+    if (this.readOnly) {
+      return make('div', className);
+    }
+
+    const field = make('div', [this.CSS.input, className], {
+      contentEditable: true,
+    });
+
+    field.dataset.placeholder = placeholder;
+
+    if (isSingleLine) {
+      field.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          event.stopPropagation();
+        }
+      });
+    }
+
+    return field;
+  }
+
+  /**
+   * Shows voice title
+   *
+   * @param {string} text - title text
+   * @returns {void}
+   */
+  fillTitle(text) {
+    this.fillTextField(this.nodes.title, text);
+  }
+
+  /**
+   * Shows voice caption
+   *
+   * @param {string} text - caption HTML
+   * @returns {void}
+   */
+  fillCaption(text) {
+    this.fillTextField(this.nodes.caption, text);
+  }
+
+  /**
+   * Fills title or caption field.
+   * Read-only field gets text without markup and is hidden while empty
+   *
+   * @private
+   * @param {Element} field - title or caption field
+   * @param {string} html - sanitized field value
+   * @returns {void}
+   */
+  fillTextField(field, html) {
+    if (!this.readOnly) {
+      field.innerHTML = html;
+
+      return;
+    }
+
+    field.textContent = html ? new window.DOMParser().parseFromString(html, 'text/html').body.textContent : '';
+    field.hidden = !field.textContent.trim();
+  }
+
+  /**
+   * Creates transcript of the voice: editable text area, or plain text in read-only mode
+   *
+   * @returns {Element}
+   */
+  createTranscript() {
+    const transcript = make('div', this.CSS.transcript, { hidden: true });
+    const label = make('div', this.CSS.transcriptLabel, {
+      textContent: this.api.i18n.t('Transcribing…'),
+    });
+    let text;
+
+    if (this.readOnly) {
+      text = make('div', this.CSS.transcriptText);
+    } else {
+      text = make('textarea', [this.CSS.input, this.CSS.transcriptText], {
+        placeholder: this.api.i18n.t('Transcript'),
+        rows: 3,
+      });
+
+      text.setAttribute('aria-label', this.api.i18n.t('Transcript'));
+      text.addEventListener('input', () => {
+        this.changeTranscript && this.changeTranscript(text.value);
+      });
+
+      /**
+       * Enter adds a line instead of creating a new Block
+       */
+      text.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+          event.stopPropagation();
+        }
+      });
+    }
+
+    transcript.append(label, text);
+
+    return transcript;
+  }
+
+  /**
+   * Shows transcript of the active take.
+   * Empty text area is shown only when transcription is configured
+   *
+   * @param {string} value - transcript text
+   * @returns {void}
+   */
+  setTranscript(value) {
+    const text = this.nodes.transcript.querySelector(`.${this.CSS.transcriptText}`);
+
+    if (this.readOnly) {
+      text.textContent = value;
+    } else if (text.value !== value) {
+      text.value = value;
+    }
+
+    this.nodes.transcript.hidden = !value && (this.readOnly || typeof this.config.transcriber !== 'function');
+  }
+
+  /**
+   * Shows that the voice is being transcribed
+   *
+   * @param {boolean} isTranscribing - is transcriber running
+   * @returns {void}
+   */
+  toggleTranscribing(isTranscribing) {
+    this.nodes.wrapper.classList.toggle(this.CSS.transcribing, isTranscribing);
+
+    if (isTranscribing) {
+      this.nodes.transcript.hidden = false;
+    }
+  }
+
+  /**
+   * Creates microphone selector, hidden until there are several microphones
+   *
+   * @returns {Element}
+   */
+  createMicrophoneSelect() {
+    const select = make('select', [ 'record-microphone' ], {
+      title: this.api.i18n.t('Microphone'),
+      hidden: true,
+    });
+
+    select.setAttribute('aria-label', this.api.i18n.t('Microphone'));
+    select.addEventListener('change', () => {
+      this.selectMicrophone && this.selectMicrophone(select.value);
+    });
+
+    return select;
+  }
+
   /**
    * Creates upload-file button
    *
    * @returns {Element}
    */
-  createRecordComponent(recordTimer, btnPaused) {
+  createFileButton() {
+    const button = make('button', [ 'btn-upload-file' ], {
+      type: 'button',
+      title: this.api.i18n.t('Select file'),
+      hidden: !!this.readOnly,
+    });
 
+    button.innerHTML = this.config.buttonContent || `${uploadIcon} ${this.api.i18n.t('Select file')}`;
+    button.addEventListener('click', () => {
+      this.onSelectFile && this.onSelectFile();
+    });
+
+    return button;
+  }
+
+  /**
+   * Creates button adding a marker at the recording time, shown while recording
+   *
+   * @returns {Element}
+   */
+  createRecordingMarkerButton() {
+    const button = make('button', [ 'btn-marker-record' ], {
+      type: 'button',
+      title: this.api.i18n.t('Add marker at the recording time'),
+      textContent: this.api.i18n.t('Marker'),
+    });
+
+    button.addEventListener('click', () => {
+      this.addRecordingMarker && this.addRecordingMarker();
+    });
+
+    return button;
+  }
+
+  /**
+   * Shows number of markers added to the recording in progress
+   *
+   * @param {number} count - markers added while recording
+   * @returns {void}
+   */
+  setRecordingMarkers(count) {
+    this.nodes.markerButton.textContent = count
+      ? `${this.api.i18n.t('Marker')} (${count})`
+      : this.api.i18n.t('Marker');
+  }
+
+  /**
+   * Accepts files dropped onto the empty Block instead of letting Editor.js insert a new Block
+   *
+   * @returns {void}
+   */
+  addDropListeners() {
+    const wrapper = this.nodes.wrapper;
+    const canDrop = (event) => wrapper.classList.contains(`${this.CSS.wrapper}--${Ui.status.EMPTY}`) &&
+      !this.nodes.recordComponent.classList.contains('active') &&
+      event.dataTransfer &&
+      Array.from(event.dataTransfer.types).includes('Files');
+
+    wrapper.addEventListener('dragover', (event) => {
+      if (!canDrop(event)) {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+      event.dataTransfer.dropEffect = 'copy';
+      wrapper.classList.add(this.CSS.dragOver);
+    });
+
+    wrapper.addEventListener('dragleave', (event) => {
+      if (!wrapper.contains(event.relatedTarget)) {
+        wrapper.classList.remove(this.CSS.dragOver);
+      }
+    });
+
+    wrapper.addEventListener('drop', (event) => {
+      wrapper.classList.remove(this.CSS.dragOver);
+
+      if (!canDrop(event)) {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      const [ file ] = event.dataTransfer.files;
+
+      if (file) {
+        this.onDropFile && this.onDropFile(file);
+      }
+    });
+  }
+
+  /**
+   * Creates record button with the timer, pause button, input meter, marker button, microphone selector and upload-file button
+   *
+   * @param {Element} recordTimer - recording timer
+   * @param {Element} btnPaused - pause button
+   * @param {Element} recordMeter - input level meter
+   * @param {Element} microphoneSelect - microphone selector
+   * @param {Element} fileButton - Select file button
+   * @param {Element} markerButton - Marker button for the recording in progress
+   * @returns {Element}
+   */
+  createRecordComponent(recordTimer, btnPaused, recordMeter, microphoneSelect, fileButton, markerButton) {
     const recordComponent = make('div', [this.CSS.recordComponent]);
 
     const btnRecord = make('div', ['btn-record']);
@@ -157,7 +664,11 @@ export default class Ui {
     btnRecord.append(processingInfo);
 
     recordComponent.append(btnRecord);
+    recordComponent.append(recordMeter);
     recordComponent.append(btnPaused);
+    recordComponent.append(markerButton);
+    recordComponent.append(microphoneSelect);
+    recordComponent.append(fileButton);
 
     btnRecord.addEventListener('click', () => {
       this.toggleRecording && this.toggleRecording();
@@ -166,8 +677,63 @@ export default class Ui {
     return recordComponent;
   }
 
-  updateTimer(value) {
+  /**
+   * Shows recording time, highlighted when the limit is close
+   *
+   * @param {string} value - elapsed or remaining time
+   * @param {boolean} [isNearLimit] - is timer counting down to the limit
+   * @returns {void}
+   */
+  updateTimer(value, isNearLimit = false) {
     this.nodes.timerComponent.innerHTML = value;
+    this.nodes.recordComponent.classList.toggle('near-limit', isNearLimit);
+  }
+
+  /**
+   * Fills microphone selector.
+   * Chosen microphone that is unplugged now is shown as the default one
+   *
+   * @param {{deviceId: string, label: string}[]} devices - connected microphones
+   * @param {string|null} selectedId - chosen microphone
+   * @returns {void}
+   */
+  setMicrophones(devices, selectedId) {
+    const select = this.nodes.microphoneSelect;
+
+    select.innerHTML = '';
+    [ {
+      deviceId: '',
+      label: this.api.i18n.t('Default microphone'),
+    } ].concat(devices)
+      .forEach(({ deviceId, label }) => {
+        select.append(make('option', null, {
+          value: deviceId,
+          textContent: label,
+        }));
+      });
+
+    select.value = devices.some(({ deviceId }) => deviceId === selectedId) ? selectedId : '';
+    select.hidden = devices.length < 2;
+  }
+
+  /**
+   * Starts drawing input levels of the recording stream
+   *
+   * @param {MediaStream} stream - recording stream
+   * @returns {void}
+   */
+  startMeter(stream) {
+    this.meter.start(stream);
+  }
+
+  /**
+   * Shows or hides the warning about too loud input
+   *
+   * @param {boolean} isClipping - is input clipping
+   * @returns {void}
+   */
+  toggleClipping(isClipping) {
+    this.nodes.recordComponent.classList.toggle('clipping', isClipping);
   }
 
   /**
@@ -178,9 +744,28 @@ export default class Ui {
    */
   showPreloader(src) {
     // this.nodes.voicePreloader.innerHTML = src;
+    this.updateProgress(0, 0);
     this.toggleStatus(Ui.status.UPLOADING);
   }
 
+  /**
+   * Shows uploaded part of the file
+   *
+   * @param {number} loaded - sent bytes
+   * @param {number} total - file size in bytes, 0 when unknown
+   * @returns {void}
+   */
+  updateProgress(loaded, total) {
+    const bar = this.nodes.progress.querySelector(`.${this.CSS.progressBar}`);
+    const fill = this.nodes.progress.querySelector(`.${this.CSS.progressFill}`);
+    const text = this.nodes.progress.querySelector(`.${this.CSS.progressText}`);
+    const percent = total ? Math.min(100, Math.round(loaded / total * 100)) : 0;
+
+    fill.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', String(percent));
+    text.textContent = total ? `${percent}% · ${formatBytes(loaded)} / ${formatBytes(total)}` : '';
+  }
+
   /**
    * Hide uploading preloader
    *
@@ -195,51 +780,57 @@ export default class Ui {
    * Shows an voice
    *
    * @param {string} url - voice source
+   * @param {object} [meta] - stored audio metadata: waveform peaks and duration
    * @returns {void}
    */
-  fillVoice(url) {
-    /**
-     * Check for a source extension to compose element correctly: video tag for mp4, img — for others
-     */
-    const tag = 'AUDIO';
-
-    const attributes = {
-      src: url,
-      controls: true
-    };
+  fillVoice(url, meta) {
+    if (this.player) {
+      this.player.destroy();
+      this.nodes.audioEl.remove();
+    }
 
     /**
-     * We use eventName variable because IMG and VIDEO tags have different event to be called on source load
-     * - IMG: load
-     * - VIDEO: loadeddata
-     *
-     * @type {string}
-     */
-    let eventName = 'loadeddata';
-    /**
-     * Compose tag with defined attributes
+     * Compose player and mark its root as the voice element
      *
-     * @type {Element}
+     * @type {Player}
      */
-    this.nodes.audioEl = make(tag, this.CSS.audioEl, attributes);
+    this.player = new Player({
+      api: this.api,
+      onLoaded: () => {
+        this.toggleStatus(Ui.status.FILLED);
 
-    /**
-     * Add load event listener
-     */
-    this.nodes.audioEl.addEventListener(eventName, () => {
-      this.toggleStatus(Ui.status.FILLED);
-
-      /**
-       * Preloader does not exists on first rendering with presaved data
-       */
-      if (this.nodes.voicePreloader) {
-        this.nodes.voicePreloader.style.backgroundVoice = '';
-      }
+        /**
+         * Preloader does not exists on first rendering with presaved data
+         */
+        if (this.nodes.voicePreloader) {
+          this.nodes.voicePreloader.style.backgroundVoice = '';
+        }
+      },
     });
+    this.nodes.audioEl = this.player.element;
+    this.nodes.audioEl.classList.add(this.CSS.audioEl);
+    this.player.setMarkers(this.markerList);
 
+    this.player.load(url, meta);
     this.nodes.audioContainer.appendChild(this.nodes.audioEl);
   }
 
+  /**
+   * Removes the voice and returns to the empty state
+   *
+   * @returns {void}
+   */
+  removeVoice() {
+    if (this.player) {
+      this.player.destroy();
+      this.nodes.audioEl.remove();
+      this.player = null;
+      this.nodes.audioEl = undefined;
+    }
+
+    this.toggleStatus(Ui.status.EMPTY);
+  }
+
   /**
    * Changes UI status
    *
@@ -254,15 +845,256 @@ export default class Ui {
     }
   }
 
+  /**
+   * Marks voice as kept on the device until it is uploaded
+   *
+   * @param {boolean} isPending - is voice waiting for upload
+   * @returns {void}
+   */
+  togglePending(isPending) {
+    this.nodes.wrapper.classList.toggle(this.CSS.pending, isPending);
+  }
+
+  /**
+   * Offers to restore recording left unfinished on the previous load
+   *
+   * @param {string} startedAt - ISO date when recording was started
+   * @param {Function} onRecover - callback for Recover button
+   * @param {Function} onDiscard - callback for Discard button
+   * @returns {void}
+   */
+  showRecoveryPrompt(startedAt, onRecover, onDiscard) {
+    const text = make('div', this.CSS.recoveryText);
+    const recoverButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Recover'),
+    });
+    const discardButton = make('button', this.CSS.button, {
+      type: 'button',
+      textContent: this.api.i18n.t('Discard'),
+    });
+
+    text.textContent = `${this.api.i18n.t('Recover unsaved recording?')} ${new Date(startedAt).toLocaleString()}`;
+    recoverButton.addEventListener('click', onRecover);
+    discardButton.addEventListener('click', onDiscard);
+
+    this.nodes.recoveryPrompt.innerHTML = '';
+    this.nodes.recoveryPrompt.append(text, recoverButton, discardButton);
+    this.nodes.wrapper.classList.add(this.CSS.recovering);
+  }
+
+  /**
+   * Hides recovery prompt
+   *
+   * @returns {void}
+   */
+  hideRecoveryPrompt() {
+    this.nodes.recoveryPrompt.innerHTML = '';
+    this.nodes.wrapper.classList.remove(this.CSS.recovering);
+  }
+
+  /**
+   * Shows actions for the stopped recording that is not uploaded yet
+   *
+   * @param {object} callbacks - actions callbacks
+   * @param {Function} callbacks.onKeep - callback for Keep button
+   * @param {Function} callbacks.onRerecord - callback for Re-record button
+   * @param {Function} callbacks.onDiscard - callback for Discard button
+   * @returns {void}
+   */
+  showReview({ onKeep, onRerecord, onDiscard }) {
+    const text = make('div', this.CSS.reviewText);
+    const buttons = [
+      [this.api.i18n.t('Keep'), onKeep],
+      [this.api.i18n.t('Re-record'), onRerecord],
+      [this.api.i18n.t('Discard'), onDiscard],
+    ].map(([label, onClick]) => {
+      const button = make('button', this.CSS.button, {
+        type: 'button',
+        textContent: label,
+      });
+
+      button.addEventListener('click', onClick);
+
+      return button;
+    });
+
+    text.textContent = this.api.i18n.t('Listen to the recording before saving it');
+
+    this.nodes.reviewActions.innerHTML = '';
+    this.nodes.reviewActions.append(text, ...buttons);
+    this.nodes.wrapper.classList.add(this.CSS.reviewing);
+  }
+
+  /**
+   * Hides review actions
+   *
+   * @returns {void}
+   */
+  hideReview() {
+    this.nodes.reviewActions.innerHTML = '';
+    this.nodes.wrapper.classList.remove(this.CSS.reviewing);
+  }
+
+  /**
+   * Shows or hides Undo trim button
+   *
+   * @param {boolean} isVisible - does voice have the untrimmed original
+   * @returns {void}
+   */
+  toggleUndoTrim(isVisible) {
+    this.nodes.undoTrimButton.hidden = !isVisible;
+  }
+
+  /**
+   * Shows record button under the filled voice to record a segment appended to it
+   *
+   * @param {boolean} isAppending - is new segment recorded
+   * @returns {void}
+   */
+  toggleAppending(isAppending) {
+    this.nodes.wrapper.classList.toggle(this.CSS.appending, isAppending);
+  }
+
+  /**
+   * Shows record button under the filled voice to record a new take
+   *
+   * @param {boolean} isRecording - is new take recorded
+   * @returns {void}
+   */
+  toggleNewTake(isRecording) {
+    this.nodes.wrapper.classList.toggle(this.CSS.newTake, isRecording);
+  }
+
+  /**
+   * Updates the takes list
+   *
+   * @param {{id: string, name: string, file: object}[]} takes - recorded takes
+   * @param {string|null} activeId - id of the active take
+   * @returns {void}
+   */
+  renderTakes(takes, activeId) {
+    this.takes.render(takes, activeId);
+  }
+
+  /**
+   * Updates the chapters list and the ticks on the player timeline
+   *
+   * @param {{id: string, time: number, label: string}[]} markers - markers sorted by time
+   * @returns {void}
+   */
+  renderMarkers(markers) {
+    this.markerList = markers;
+    this.markers.render(markers);
+
+    if (this.player) {
+      this.player.setMarkers(markers);
+    }
+  }
+
+  /**
+   * Moves focus to the label of the marker
+   *
+   * @param {string} id - marker id
+   * @returns {void}
+   */
+  focusMarker(id) {
+    this.markers.focus(id);
+  }
+
+  /**
+   * Current playback position of the voice in seconds
+   *
+   * @returns {number}
+   */
+  get playbackTime() {
+    return this.player ? this.player.currentTime : 0;
+  }
+
+  /**
+   * Apply visual representation of activated tune
+   *
+   * @param {string} tuneName - one of available tunes {@link Tunes.tunes} or custom action name
+   * @param {boolean} status - true for enable, false for disable
+   * @returns {void}
+   */
+  applyTune(tuneName, status) {
+    this.nodes.wrapper.classList.toggle(`${this.CSS.wrapper}--${tuneName}`, status);
+  }
+
+  /**
+   * Stops playback of the voice and takes
+   *
+   * @returns {void}
+   */
+  destroy() {
+    if (this.player) {
+      this.player.destroy();
+    }
+
+    this.takes.stop();
+  }
+
+  /**
+   * Replaces the player with the trim editor
+   *
+   * @param {AudioBuffer} audioBuffer - decoded voice
+   * @param {object} callbacks - trimmer callbacks
+   * @param {Function} callbacks.onApply - receives start and end of the kept part in seconds
+   * @param {Function} callbacks.onCancel - callback for Cancel button
+   * @returns {void}
+   */
+  showTrimmer(audioBuffer, { onApply, onCancel }) {
+    if (this.player) {
+      this.player.destroy();
+    }
+
+    const trimmer = new Trimmer({
+      api: this.api,
+      audioBuffer,
+      onApply,
+      onCancel,
+    });
+
+    this.nodes.trimmerContainer.innerHTML = '';
+    this.nodes.trimmerContainer.appendChild(trimmer.element);
+    this.nodes.wrapper.classList.add(this.CSS.trimming);
+  }
+
+  /**
+   * Hides the trim editor
+   *
+   * @returns {void}
+   */
+  hideTrimmer() {
+    this.nodes.trimmerContainer.innerHTML = '';
+    this.nodes.wrapper.classList.remove(this.CSS.trimming);
+  }
+
+  /**
+   * Toggles recording state of the record button, stops the input meter when recording ends
+   *
+   * @param {boolean} isActive - true when recording
+   * @returns {void}
+   */
   setActive(isActive) {
     if (isActive) {
       this.nodes.recordComponent.classList.add('active');
     } else {
       this.nodes.recordComponent.classList.remove('active');
+      this.meter.stop();
     }
   }
 
+  /**
+   * Toggles paused state of the record button and the input meter
+   *
+   * @param {boolean} isPaused - true when recording is paused
+   * @returns {void}
+   */
   togglePaused(isPaused) {
+    this.meter.togglePaused(isPaused);
+
     if (isPaused) {
       this.nodes.recordComponent.classList.add('paused');
     } else {
@@ -273,25 +1105,19 @@ export default class Ui {
 }
 
 /**
- * Helper for making Elements with attributes
+ * Formats bytes count for the uploading progress
  *
- * @param  {string} tagName           - new Element tag name
- * @param  {Array|string} classNames  - list or name of CSS class
- * @param  {object} attributes        - any attributes
- * @returns {Element}
+ * @param {number} bytes - bytes count
+ * @returns {string} e.g. '1.2 MB'
  */
-export const make = function make(tagName, classNames = null, attributes = {}) {
-  const el = document.createElement(tagName);
-
-  if (Array.isArray(classNames)) {
-    el.classList.add(...classNames);
-  } else if (classNames) {
-    el.classList.add(classNames);
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
   }
 
-  for (const attrName in attributes) {
-    el[attrName] = attributes[attrName];
+  if (bytes < 1024 * 1024) {
+    return `${Math.round(bytes / 1024)} KB`;
   }
 
-  return el;
-};
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
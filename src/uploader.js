@@ -1,4 +1,19 @@
 import ajax from '@codexteam/ajax';
+import { getAudioInfo, getExtension } from './audio';
+
+/**
+ * Code of the error passed to onError for files over config.recorder.maxSizeBytes
+ *
+ * @type {string}
+ */
+export const FILE_TOO_LARGE = 'FILE_TOO_LARGE';
+
+/**
+ * Code of the error for selected or dropped files that don't match config.types
+ *
+ * @type {string}
+ */
+export const UNSUPPORTED_TYPE = 'UNSUPPORTED_TYPE';
 
 /**
  * Module for file uploading. Handle 3 scenarios:
@@ -10,44 +25,95 @@ export default class Uploader {
   /**
    * @param {object} params - uploader module params
    * @param {ImageConfig} params.config - image tool config
-   * @param {Function} params.onUpload - one callback for all uploading (file, url, d-n-d, pasting)
+   * @param {Function} params.onUpload - one callback for all uploading (file, url, d-n-d, pasting), receives response and uploaded file when it is known
    * @param {Function} params.onError - callback for uploading errors
+   * @param {Function} params.onProgress - callback for uploading progress, receives sent and total bytes
    */
   constructor({
     config,
     onUpload,
-    onError
+    onError,
+    onProgress,
   }) {
     this.config = config;
     this.onUpload = onUpload;
     this.onError = onError;
+    this.onProgress = onProgress;
+
+    /**
+     * Current uploading, see {@link Uploader#startTask}
+     *
+     * @type {{isCancelled: boolean, aborts: Function[]}|null}
+     */
+    this.task = null;
+
+    /**
+     * Current chunked upload, see {@link Uploader#startChunkSession}
+     */
+    this.chunkSession = null;
   }
 
   /**
-   * Handle clicks on the upload file button
-   * Fires uploadByFile()
+   * Check if recordings should be streamed by chunks while recording
    *
-   * @param Blob blob - content
-   * @param {Function} onPreview - callback fired when preview is ready
+   * @returns {boolean}
+   */
+  get isChunked() {
+    return Boolean(this.config.endpoints && this.config.endpoints.byChunk);
+  }
+
+  /**
+   * Check if uploading is in progress
+   *
+   * @returns {boolean}
+   */
+  get isUploading() {
+    return this.task !== null;
+  }
+
+  /**
+   * Aborts current uploading. Its result is ignored and no callbacks are fired
+   *
+   * @returns {void}
+   */
+  cancel() {
+    if (!this.task) {
+      return;
+    }
+
+    this.task.isCancelled = true;
+    this.task.aborts.forEach((abort) => abort());
+    this.task = null;
+  }
+
+  /**
+   * Opens file selection dialog filtered by config.types
+   *
+   * @returns {Promise<File>}
    */
-  uploadAudioBlob(blob, { onPreview }) {
+  selectFile() {
+    return ajax.selectFiles({ accept: this.config.types })
+      .then(([ file ]) => file);
+  }
 
+  /**
+   * Upload recorded audio
+   * Fires uploadByFile() with a file named after the recorded container
+   *
+   * @param {Blob} blob - recorded audio
+   * @param {object} options - uploading options
+   * @param {Function} options.onPreview - callback fired when preview is ready
+   * @param {Promise<object>} [options.info] - precomputed audio metadata
+   */
+  uploadAudioBlob(blob, { onPreview, info }) {
     onPreview('Procesando...');
 
-    var reader = new FileReader();
-    // this function is triggered once a call to readAsDataURL returns
-    reader.onload = (event) => {
-      this.uploadByFile(event.target.result, { onPreview });
-    };
-    reader.readAsDataURL(blob);
-    //
-    //
-    // upload.then((response) => {
-    //   this.onUpload(response);
-    // })
-    //   .catch((error) => {
-    //     this.onError(error);
-    //   });
+    const file = new File([ blob ], getFileName(blob.type), { type: blob.type });
+
+    this.uploadByFile(file, {
+      onPreview,
+      info: info || this.getInfo(blob, new Date()),
+    });
   }
 
   /**
@@ -57,6 +123,7 @@ export default class Uploader {
    * @param {string} url - image source url
    */
   uploadByUrl(url) {
+    const task = this.startTask();
     let upload;
 
     /**
@@ -83,22 +150,35 @@ export default class Uploader {
         .then(response => response.body);
     }
 
-    upload.then((response) => {
-      this.onUpload(response);
-    })
-      .catch((error) => {
-        this.onError(error);
-      });
+    this.complete(upload, undefined, task);
   }
 
   /**
    * Handle clicks on the upload file button
-   * Fires ajax.post()
+   * Sends file with the byte progress reporting
    *
    * @param {File} file - file pasted by drag-n-drop
-   * @param {Function} onPreview - file pasted by drag-n-drop
+   * @param {object} options - uploading options
+   * @param {Function} options.onPreview - callback fired when preview is ready
+   * @param {Promise<object>} [options.info] - precomputed audio metadata, see {@link Uploader#getInfo}
    */
-  uploadByFile(file, { onPreview }) {
+  uploadByFile(file, { onPreview, info }) {
+    const maxSize = this.config.recorder && this.config.recorder.maxSizeBytes;
+
+    /**
+     * Files over the limit are rejected before anything is sent: selected, dropped and pasted ones,
+     * recordings and audio re-encoded after trimming or joining
+     */
+    if (maxSize && file.size > maxSize) {
+      const error = new Error(`file size ${file.size} exceeds the limit of ${maxSize} bytes`);
+
+      error.code = FILE_TOO_LARGE;
+      error.maxSize = maxSize;
+      this.onError(error);
+
+      return;
+    }
+
     /**
      * Load file for preview
      *
@@ -106,48 +186,516 @@ export default class Uploader {
      */
     onPreview('Cargando...');
 
+    const task = this.startTask();
+    const onProgress = (loaded, total) => this.reportProgress(task, loaded, total);
     let upload;
 
     /**
      * Custom uploading
      */
     if (this.config.uploader && typeof this.config.uploader.uploadByFile === 'function') {
-      upload = this.config.uploader.uploadByFile(file);
+      const controller = typeof window.AbortController === 'function' ? new window.AbortController() : null;
+
+      if (controller) {
+        task.aborts.push(() => controller.abort());
+      }
+
+      upload = this.config.uploader.uploadByFile(file, {
+        onProgress,
+        signal: controller ? controller.signal : undefined,
+      });
 
       if (!isPromise(upload)) {
         console.warn('Custom uploader method uploadByFile should return a Promise');
       }
+    } else if (this.config.endpoints.resumable && file instanceof window.Blob) {
+      /**
+       * Resumable uploading
+       */
+      upload = this.uploadResumable(file, task);
     } else {
       /**
        * Default uploading
        */
-      const formData = new FormData();
+      upload = send({
+        url: this.config.endpoints.byFile,
+        data: this.createFormData({
+          [this.config.field]: file,
+        }),
+        headers: this.config.additionalRequestHeaders,
+        task,
+        onProgress,
+      });
+    }
 
-      formData.append(this.config.field, file);
+    if (!info && file instanceof window.Blob) {
+      info = this.getInfo(file, file.lastModified ? new Date(file.lastModified) : new Date());
+    }
 
-      if (this.config.additionalRequestData && Object.keys(this.config.additionalRequestData).length) {
-        Object.entries(this.config.additionalRequestData)
-          .forEach(([name, value]) => {
-            formData.append(name, value);
-          });
-      }
+    this.complete(upload, info, task, file);
+  }
 
-      upload = ajax.post({
-        url: this.config.endpoints.byFile,
-        data: formData,
-        type: ajax.contentType.JSON,
-        headers: this.config.additionalRequestHeaders,
+  /**
+   * Starts streaming of a new recording to the endpoints.byChunk
+   *
+   * @returns {void}
+   */
+  startChunkSession() {
+    this.chunkSession = {
+      id: generateId(),
+      sequence: 0,
+      failed: false,
+      queue: Promise.resolve(),
+    };
+  }
+
+  /**
+   * Sends recorded chunk. Chunks are sent one by one in the recording order
+   *
+   * @param {Blob} chunk - data from MediaRecorder 'dataavailable' event
+   * @returns {void}
+   */
+  uploadChunk(chunk) {
+    const session = this.chunkSession;
+
+    if (!session) {
+      return;
+    }
+
+    const sequence = session.sequence++;
+
+    session.queue = session.queue
+      .then(() => {
+        if (session.failed) {
+          return;
+        }
+
+        return this.postForm(this.config.endpoints.byChunk, {
+          action: 'chunk',
+          sessionId: session.id,
+          sequence,
+          [this.config.field]: chunk,
+        });
       })
-        .then(response => response.body);
+      .catch((error) => {
+        console.log('Voice Tool: chunk uploading failed because of', error);
+        session.failed = true;
+      });
+  }
+
+  /**
+   * Forgets current chunked upload, e.g. when recording is kept on the device
+   *
+   * @returns {void}
+   */
+  cancelChunkSession() {
+    this.chunkSession = null;
+  }
+
+  /**
+   * Waits for all chunks and asks backend to join them.
+   * If any chunk failed, the whole recording is uploaded by file instead
+   *
+   * @param {Blob} blob - whole recorded audio
+   * @param {Function} onPreview - callback fired when preview is ready
+   * @returns {void}
+   */
+  finishChunkSession(blob, { onPreview }) {
+    const session = this.chunkSession;
+
+    this.chunkSession = null;
+
+    if (!session) {
+      this.uploadAudioBlob(blob, { onPreview });
+
+      return;
     }
 
-    upload.then((response) => {
-      this.onUpload(response);
+    onPreview('Procesando...');
+
+    const info = this.getInfo(blob, new Date());
+    const task = this.startTask();
+
+    session.queue.then(() => {
+      if (task.isCancelled) {
+        return;
+      }
+
+      if (session.failed) {
+        this.uploadByFile(new File([ blob ], getFileName(blob.type), { type: blob.type }), {
+          onPreview,
+          info,
+        });
+
+        return;
+      }
+
+      this.complete(this.postForm(this.config.endpoints.byChunk, {
+        action: 'finalize',
+        sessionId: session.id,
+        chunks: session.sequence,
+        name: getFileName(blob.type),
+        mimeType: blob.type,
+      }, { task }), info, task, blob);
+    });
+  }
+
+  /**
+   * Uploads file by byte ranges to the endpoints.resumable.
+   * Before each range the backend is asked for the last received offset,
+   * so after network failure uploading continues from there.
+   * Failed requests are retried with exponential backoff
+   *
+   * @param {File} file - file to upload
+   * @param {object} task - uploading task, see {@link Uploader#startTask}
+   * @returns {Promise<UploadResponseFormat>}
+   */
+  uploadResumable(file, task) {
+    const { chunkSize, maxRetries, retryDelay } = Object.assign({
+      chunkSize: 512 * 1024,
+      maxRetries: 5,
+      retryDelay: 1000,
+    }, this.config.resumable);
+    const url = this.config.endpoints.resumable;
+    const uploadId = generateId();
+    const name = file.name || getFileName(file.type);
+    let retries = 0;
+
+    const sendFrom = (offset) => {
+      if (offset >= file.size) {
+        return this.postForm(url, {
+          action: 'finalize',
+          uploadId,
+          name,
+          mimeType: file.type,
+          size: file.size,
+        }, { task });
+      }
+
+      return this.postForm(url, {
+        action: 'upload',
+        uploadId,
+        offset,
+        [this.config.field]: file.slice(offset, offset + chunkSize),
+      }, {
+        task,
+        onProgress: (loaded) => this.reportProgress(task, offset + loaded, file.size),
+      })
+        .then((response) => {
+          const next = Number(response.offset);
+
+          if (!(next > offset)) {
+            throw new Error('backend did not accept the range at ' + offset);
+          }
+
+          retries = 0;
+
+          return sendFrom(next);
+        });
+    };
+
+    const resume = () => this.postForm(url, {
+      action: 'status',
+      uploadId,
+      size: file.size,
+    }, { task })
+      .then((response) => sendFrom(Number(response.offset) || 0))
+      .catch((error) => {
+        if (task.isCancelled || retries >= maxRetries) {
+          throw error;
+        }
+
+        console.log('Voice Tool: resumable uploading interrupted because of', error);
+
+        /**
+         * Uploading can be cancelled while waiting, then no more requests are sent
+         */
+        return waitForRetry(retryDelay * Math.pow(2, retries++)).then(() => {
+          if (task.isCancelled) {
+            throw new Error('request aborted');
+          }
+
+          return resume();
+        });
+      });
+
+    return resume();
+  }
+
+  /**
+   * Sends form to the passed endpoint, rejects on unsuccessful response
+   *
+   * @private
+   * @param {string} url - endpoint
+   * @param {object} fields - form fields
+   * @param {object} [options] - request options
+   * @param {object} [options.task] - uploading task to abort the request with
+   * @param {Function} [options.onProgress] - callback for sent bytes of the request
+   * @returns {Promise<object>}
+   */
+  postForm(url, fields, { task, onProgress } = {}) {
+    return send({
+      url,
+      data: this.createFormData(fields),
+      headers: this.config.additionalRequestHeaders,
+      task,
+      onProgress,
     })
+      .then((body) => {
+        if (!body || !body.success) {
+          throw new Error('incorrect response: ' + JSON.stringify(body));
+        }
+
+        return body;
+      });
+  }
+
+  /**
+   * Starts new uploading task. Previous uploading is cancelled
+   *
+   * @private
+   * @returns {{isCancelled: boolean, aborts: Function[]}}
+   */
+  startTask() {
+    this.cancel();
+    this.task = {
+      isCancelled: false,
+      aborts: [],
+    };
+
+    return this.task;
+  }
+
+  /**
+   * Passes progress of the active task to the callback
+   *
+   * @private
+   * @param {object} task - uploading task
+   * @param {number} loaded - sent bytes
+   * @param {number} total - bytes to send
+   * @returns {void}
+   */
+  reportProgress(task, loaded, total) {
+    if (!task.isCancelled && this.onProgress) {
+      this.onProgress(loaded, total);
+    }
+  }
+
+  /**
+   * Composes form with passed fields and additionalRequestData
+   *
+   * @private
+   * @param {object} fields - form fields
+   * @returns {FormData}
+   */
+  createFormData(fields) {
+    const formData = new FormData();
+
+    Object.entries(Object.assign({}, fields, this.config.additionalRequestData))
+      .forEach(([name, value]) => {
+        formData.append(name, value);
+      });
+
+    return formData;
+  }
+
+  /**
+   * Passes uploading result with audio metadata to the callbacks
+   *
+   * @private
+   * @param {Promise<UploadResponseFormat>} upload - uploading request
+   * @param {Promise<object>} [info] - audio metadata
+   * @param {object} task - uploading task, callbacks are not fired if it was cancelled
+   * @param {Blob} [blob] - uploaded audio, passed to onUpload
+   * @returns {void}
+   */
+  complete(upload, info, task, blob) {
+    const finish = () => {
+      if (this.task === task) {
+        this.task = null;
+      }
+    };
+
+    Promise.all([upload, info])
+      .then(([response, fileInfo]) => {
+        if (task.isCancelled) {
+          return;
+        }
+
+        finish();
+        this.onUpload(withInfo(response, fileInfo), blob);
+      })
       .catch((error) => {
+        if (task.isCancelled) {
+          return;
+        }
+
+        finish();
         this.onError(error);
       });
   }
+
+  /**
+   * Computes metadata stored with the uploaded file: waveform peaks, duration, type, size and record date.
+   * Never rejects: if audio can't be decoded, only known fields are returned
+   *
+   * @param {Blob} blob - audio file
+   * @param {Date} recordedAt - when audio was recorded
+   * @returns {Promise<object>}
+   */
+  getInfo(blob, recordedAt) {
+    const base = {
+      mimeType: blob.type,
+      size: blob.size,
+      recordedAt: recordedAt.toISOString(),
+    };
+
+    return getAudioInfo(blob)
+      .then((audioInfo) => Object.assign(base, audioInfo))
+      .catch((error) => {
+        console.log('Voice Tool: audio metadata is not available because of', error);
+
+        return base;
+      });
+  }
+}
+
+/**
+ * Generates random identifier for the upload sessions
+ *
+ * @returns {string}
+ */
+export function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36)
+    .slice(2, 10);
+}
+
+/**
+ * Checks file against the accept string of config.types:
+ * mime-types, wildcards like 'audio/*' and extensions like '.mp3'
+ *
+ * @param {File} file - selected or dropped file
+ * @param {string} types - comma-separated accept string
+ * @returns {boolean}
+ */
+export function isAcceptedType(file, types) {
+  const mimeType = (file.type || '').split(';')[0].toLowerCase();
+  const name = (file.name || '').toLowerCase();
+
+  return types.split(',')
+    .map((type) => type.trim().toLowerCase())
+    .some((type) => {
+      if (type.startsWith('.')) {
+        return name.endsWith(type);
+      }
+
+      if (type.endsWith('/*')) {
+        return mimeType.startsWith(type.slice(0, -1));
+      }
+
+      return mimeType === type;
+    });
+}
+
+/**
+ * Sends POST request reporting uploaded bytes.
+ * Unlike ajax.post(), the request can be aborted with the task
+ *
+ * @param {object} params - request params
+ * @param {string} params.url - endpoint
+ * @param {FormData} params.data - request body
+ * @param {object} [params.headers] - custom headers
+ * @param {object} [params.task] - uploading task, its abort list gets the request
+ * @param {Function} [params.onProgress] - callback for sent and total bytes
+ * @returns {Promise<object>} parsed response body
+ */
+function send({ url, data, headers, task, onProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+
+    xhr.open('POST', url, true);
+    xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+    Object.entries(headers || {}).forEach(([name, value]) => {
+      xhr.setRequestHeader(name, value);
+    });
+
+    if (onProgress) {
+      xhr.upload.addEventListener('progress', (event) => {
+        if (event.lengthComputable) {
+          onProgress(event.loaded, event.total);
+        }
+      });
+    }
+
+    xhr.onload = () => {
+      let body = xhr.responseText;
+
+      try {
+        body = JSON.parse(body);
+      } catch (e) {}
+
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(body);
+      } else {
+        reject(new Error(`request failed with status ${xhr.status}`));
+      }
+    };
+    xhr.onerror = () => reject(new Error('network error'));
+    xhr.onabort = () => reject(new Error('request aborted'));
+
+    if (task) {
+      task.aborts.push(() => xhr.abort());
+    }
+
+    xhr.send(data);
+  });
+}
+
+/**
+ * Waits before the next retry. Resolves earlier when network comes back
+ *
+ * @param {number} ms - delay
+ * @returns {Promise<void>}
+ */
+function waitForRetry(ms) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timeout);
+      window.removeEventListener('online', done);
+      resolve();
+    };
+    const timeout = setTimeout(done, ms);
+
+    window.addEventListener('online', done);
+  });
+}
+
+/**
+ * Composes name for the recorded file with extension matching its container
+ *
+ * @param {string} mimeType - recorded audio type
+ * @returns {string}
+ */
+export function getFileName(mimeType) {
+  return `voice-${Date.now()}.${getExtension(mimeType)}`;
+}
+
+/**
+ * Adds computed metadata to the uploaded file data.
+ * Fields returned by backend take precedence
+ *
+ * @param {UploadResponseFormat} response - uploading server response
+ * @param {object} [info] - audio metadata
+ * @returns {UploadResponseFormat}
+ */
+function withInfo(response, info) {
+  if (!info || !response || !response.success || !response.file) {
+    return response;
+  }
+
+  return Object.assign({}, response, {
+    file: Object.assign({}, info, response.file),
+  });
 }
 
 /**
@@ -0,0 +1,212 @@
+import { encodeWav, getAudioContextClass } from './audio';
+
+/**
+ * Size of the ScriptProcessor buffer in samples
+ *
+ * @type {number}
+ */
+const BUFFER_SIZE = 4096;
+
+/**
+ * Size of the WAV header in bytes, samples are 16-bit
+ *
+ * @type {number}
+ */
+const WAV_HEADER_SIZE = 44;
+
+/**
+ * Fallback recording engine for browsers without usable MediaRecorder.
+ * Captures raw PCM through a ScriptProcessor and encodes a mono WAV file on stop.
+ *
+ * Implements the part of the MediaRecorder interface used by {@link Recorder}:
+ * state, mimeType, start(), pause(), resume(), stop() and
+ * 'start', 'pause', 'resume', 'dataavailable', 'stop' events
+ */
+export default class WavRecorder {
+  /**
+   * @param {MediaStream} stream - stream to record
+   */
+  constructor(stream) {
+    this.stream = stream;
+    this.state = 'inactive';
+    this.mimeType = 'audio/wav';
+
+    this.listeners = {};
+    this.audioContext = null;
+    this.source = null;
+    this.processor = null;
+    this.samples = [];
+    this.samplesLength = 0;
+  }
+
+  /**
+   * Check if fallback engine can work in this browser
+   *
+   * @returns {boolean}
+   */
+  static get isSupported() {
+    const AudioContext = getAudioContextClass();
+
+    return !!AudioContext && typeof AudioContext.prototype.createScriptProcessor === 'function';
+  }
+
+  /**
+   * Size of the WAV file captured so far. Nothing is emitted before stop,
+   * so {@link Recorder} checks config.recorder.maxSizeBytes with it
+   *
+   * @returns {number} bytes
+   */
+  get bufferedSize() {
+    return this.samplesLength ? WAV_HEADER_SIZE + this.samplesLength * 2 : 0;
+  }
+
+  /**
+   * Subscribes on recorder event
+   *
+   * @param {string} type - event name
+   * @param {Function} listener - event handler
+   * @returns {void}
+   */
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  /**
+   * Unsubscribes from recorder event
+   *
+   * @param {string} type - event name
+   * @param {Function} listener - event handler
+   * @returns {void}
+   */
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter((item) => item !== listener);
+  }
+
+  /**
+   * Starts capturing. Timeslice is not supported: one chunk is emitted on stop
+   *
+   * @returns {void}
+   */
+  start() {
+    const AudioContext = getAudioContextClass();
+
+    this.samples = [];
+    this.samplesLength = 0;
+    this.audioContext = new AudioContext();
+    this.source = this.audioContext.createMediaStreamSource(this.stream);
+    this.processor = this.audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
+
+    this.processor.onaudioprocess = (event) => {
+      if (this.state === 'recording') {
+        const samples = new Float32Array(event.inputBuffer.getChannelData(0));
+
+        this.samples.push(samples);
+        this.samplesLength += samples.length;
+      }
+    };
+
+    /**
+     * Processor must be connected to the destination to receive audio in Chrome.
+     * Its output buffer is never filled, so nothing is heard
+     */
+    this.source.connect(this.processor);
+    this.processor.connect(this.audioContext.destination);
+
+    this.state = 'recording';
+    this.dispatch('start');
+  }
+
+  /**
+   * Pauses capturing
+   *
+   * @returns {void}
+   */
+  pause() {
+    if (this.state !== 'recording') {
+      return;
+    }
+
+    this.state = 'paused';
+    this.dispatch('pause');
+  }
+
+  /**
+   * Resumes capturing
+   *
+   * @returns {void}
+   */
+  resume() {
+    if (this.state !== 'paused') {
+      return;
+    }
+
+    this.state = 'recording';
+    this.dispatch('resume');
+  }
+
+  /**
+   * Stops capturing, emits WAV file as a single chunk
+   *
+   * @returns {void}
+   */
+  stop() {
+    if (this.state === 'inactive') {
+      return;
+    }
+
+    const sampleRate = this.audioContext.sampleRate;
+
+    this.processor.onaudioprocess = null;
+    this.source.disconnect();
+    this.processor.disconnect();
+    this.audioContext.close();
+
+    this.audioContext = null;
+    this.source = null;
+    this.processor = null;
+    this.state = 'inactive';
+
+    const data = encodeWav([ mergeSamples(this.samples) ], sampleRate);
+
+    this.samples = [];
+    this.samplesLength = 0;
+    this.dispatch('dataavailable', { data });
+    this.dispatch('stop');
+  }
+
+  /**
+   * Calls event listeners
+   *
+   * @private
+   * @param {string} type - event name
+   * @param {object} [detail] - event fields
+   * @returns {void}
+   */
+  dispatch(type, detail = {}) {
+    const event = Object.assign({
+      type,
+      target: this,
+    }, detail);
+
+    (this.listeners[type] || []).forEach((listener) => listener(event));
+  }
+}
+
+/**
+ * Joins captured buffers into one
+ *
+ * @param {Float32Array[]} buffers - captured buffers
+ * @returns {Float32Array}
+ */
+function mergeSamples(buffers) {
+  const length = buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+  const result = new Float32Array(length);
+  let offset = 0;
+
+  buffers.forEach((buffer) => {
+    result.set(buffer, offset);
+    offset += buffer.length;
+  });
+
+  return result;
+}
@@ -0,0 +1,236 @@
+import { concatAudio, encodeWav, findSoundBounds, trimAudio } from '../src/audio';
+
+/**
+ * Reads Blob content as DataView
+ *
+ * @param {Blob} blob - file to read
+ * @returns {Promise<DataView>}
+ */
+function readBlob(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(new DataView(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Reads ASCII string from the WAV header
+ *
+ * @param {DataView} view - file content
+ * @param {number} offset - string start
+ * @param {number} length - string length
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+  let string = '';
+
+  for (let i = 0; i < length; i++) {
+    string += String.fromCharCode(view.getUint8(offset + i));
+  }
+
+  return string;
+}
+
+/**
+ * Reads 16-bit samples of the WAV file, channels are interleaved
+ *
+ * @param {DataView} view - file content
+ * @returns {number[]}
+ */
+function readSamples(view) {
+  const samples = [];
+
+  for (let offset = 44; offset < view.byteLength; offset += 2) {
+    samples.push(view.getInt16(offset, true));
+  }
+
+  return samples;
+}
+
+/**
+ * Makes object with the AudioBuffer fields used by the helpers
+ *
+ * @param {number[][]} channels - samples of each channel
+ * @param {number} [sampleRate] - samples per second
+ * @returns {object}
+ */
+function createBuffer(channels, sampleRate = 10) {
+  const data = channels.map((samples) => Float32Array.from(samples));
+  const length = data.length ? data[0].length : 0;
+
+  return {
+    numberOfChannels: data.length,
+    sampleRate,
+    length,
+    duration: length / sampleRate,
+    getChannelData: (channel) => data[channel],
+  };
+}
+
+describe('encodeWav', () => {
+  it('writes 16-bit PCM header', async () => {
+    const blob = encodeWav([new Float32Array(10), new Float32Array(10)], 8000);
+    const view = await readBlob(blob);
+
+    expect(blob.type).toBe('audio/wav');
+    expect(blob.size).toBe(44 + 10 * 2 * 2);
+    expect(readString(view, 0, 4)).toBe('RIFF');
+    expect(view.getUint32(4, true)).toBe(36 + 40);
+    expect(readString(view, 8, 4)).toBe('WAVE');
+    expect(readString(view, 12, 4)).toBe('fmt ');
+    expect(view.getUint16(20, true)).toBe(1);
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(8000);
+    expect(view.getUint32(28, true)).toBe(8000 * 4);
+    expect(view.getUint16(32, true)).toBe(4);
+    expect(view.getUint16(34, true)).toBe(16);
+    expect(readString(view, 36, 4)).toBe('data');
+    expect(view.getUint32(40, true)).toBe(40);
+  });
+
+  it('interleaves channels and clamps samples', async () => {
+    const left = Float32Array.from([0, 1, 2]);
+    const right = Float32Array.from([-1, -0.5, -2]);
+    const view = await readBlob(encodeWav([left, right], 8000));
+
+    expect([0, 1, 2, 3, 4, 5].map((i) => view.getInt16(44 + i * 2, true))).toEqual([
+      0, -32768,
+      32767, -16384,
+      32767, -32768,
+    ]);
+  });
+
+  it('encodes empty samples as header only', async () => {
+    const blob = encodeWav([ new Float32Array(0) ], 44100);
+    const view = await readBlob(blob);
+
+    expect(blob.size).toBe(44);
+    expect(view.getUint32(40, true)).toBe(0);
+  });
+
+  it('encodes no channels as header only', () => {
+    expect(encodeWav([], 44100).size).toBe(44);
+  });
+});
+
+describe('trimAudio', () => {
+  it('keeps samples between start and end of all channels', async () => {
+    const audioBuffer = createBuffer([
+      [0, 0.1, 0.2, 0.3, 0.4, 0.5],
+      [0, -0.1, -0.2, -0.3, -0.4, -0.5],
+    ]);
+    const blob = trimAudio(audioBuffer, 0.2, 0.4);
+    const view = await readBlob(blob);
+
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(10);
+    expect(readSamples(view)).toEqual([
+      Math.trunc(0.2 * 0x7FFF), Math.trunc(-0.2 * 0x8000),
+      Math.trunc(0.3 * 0x7FFF), Math.trunc(-0.3 * 0x8000),
+    ]);
+  });
+
+  it('limits range to the audio', async () => {
+    const blob = trimAudio(createBuffer([ [0.5, 0.5, 0.5] ]), -1, 10);
+
+    expect(blob.size).toBe(44 + 3 * 2);
+  });
+
+  it('returns empty file for empty range', () => {
+    expect(trimAudio(createBuffer([ [0.5, 0.5, 0.5] ]), 0.2, 0.1).size).toBe(44);
+  });
+
+  it('returns empty file for empty audio', () => {
+    expect(trimAudio(createBuffer([ [] ]), 0, 1).size).toBe(44);
+  });
+});
+
+describe('findSoundBounds', () => {
+  /**
+   * Makes 2 seconds of silence at 100 Hz with the sound in the passed samples range
+   *
+   * @param {number} from - first sample of the sound
+   * @param {number} to - sample after the sound
+   * @param {number} [level] - sound level
+   * @returns {object}
+   */
+  const createSound = (from, to, level = 0.5) => createBuffer([
+    Array.from({ length: 200 }, (value, i) => (i >= from && i < to ? level : 0)),
+  ], 100);
+
+  it('returns sound range with padding', () => {
+    const bounds = findSoundBounds(createSound(100, 120), 0.1);
+
+    expect(bounds.start).toBeCloseTo(0.75);
+    expect(bounds.end).toBeCloseTo(1.45);
+  });
+
+  it('limits padding to the audio', () => {
+    expect(findSoundBounds(createSound(0, 200), 0.1)).toEqual({
+      start: 0,
+      end: 2,
+    });
+  });
+
+  it('counts level of all channels', () => {
+    const audioBuffer = createBuffer([
+      Array.from({ length: 200 }, (value, i) => (i === 150 ? 0.5 : 0)),
+      new Array(200).fill(0),
+    ], 100);
+    const bounds = findSoundBounds(audioBuffer, 0.1);
+
+    expect(bounds.start).toBeCloseTo(1.25);
+    expect(bounds.end).toBeCloseTo(1.76);
+  });
+
+  it('returns null for all-silent audio', () => {
+    expect(findSoundBounds(createSound(0, 0), 0.01)).toBeNull();
+  });
+
+  it('returns null for sound below the threshold', () => {
+    expect(findSoundBounds(createSound(50, 150, 0.005), 0.01)).toBeNull();
+  });
+
+  it('returns null for empty audio', () => {
+    expect(findSoundBounds(createBuffer([ [] ], 100), 0.01)).toBeNull();
+  });
+});
+
+describe('concatAudio', () => {
+  it('joins parts one after another', async () => {
+    const view = await readBlob(concatAudio([
+      createBuffer([ [0.5, 0.5] ]),
+      createBuffer([ [ -0.5 ] ]),
+    ]));
+
+    expect(view.getUint16(22, true)).toBe(1);
+    expect(readSamples(view)).toEqual([16383, 16383, -16384]);
+  });
+
+  it('duplicates mono part to all channels of stereo one', async () => {
+    const view = await readBlob(concatAudio([
+      createBuffer([ [ 0.5 ] ]),
+      createBuffer([ [ -0.5 ], [ 1 ] ]),
+    ]));
+
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(readSamples(view)).toEqual([16383, 16383, -16384, 32767]);
+  });
+
+  it('skips empty parts', async () => {
+    const view = await readBlob(concatAudio([
+      createBuffer([ [] ]),
+      createBuffer([ [ 0.5 ] ]),
+      createBuffer([ [] ]),
+    ]));
+
+    expect(readSamples(view)).toEqual([ 16383 ]);
+  });
+
+  it('returns empty file for empty parts', () => {
+    expect(concatAudio([createBuffer([ [] ]), createBuffer([ [] ])]).size).toBe(44);
+  });
+});
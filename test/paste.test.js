@@ -0,0 +1,100 @@
+import { DEFAULT_PATTERNS, getSource, isDataUri } from '../src/paste';
+
+/**
+ * Makes element from the pasted markup
+ *
+ * @param {string} html - pasted markup
+ * @returns {HTMLElement}
+ */
+function parse(html) {
+  const wrapper = document.createElement('div');
+
+  wrapper.innerHTML = html;
+
+  return wrapper.firstElementChild;
+}
+
+describe('DEFAULT_PATTERNS', () => {
+  const { audio } = DEFAULT_PATTERNS;
+
+  it('matches links to audio files', () => {
+    [
+      'https://example.com/voice.mp3',
+      'http://example.com/a/b/voice.WAV',
+      'https://example.com/voice.ogg',
+      'https://example.com/voice.oga',
+      'https://example.com/voice.m4a',
+      'https://example.com/voice.aac',
+      'https://example.com/voice.webm',
+      'https://example.com/voice.flac',
+      'https://example.com/voice.opus',
+    ].forEach((url) => expect(audio.test(url)).toBe(true));
+  });
+
+  it('matches links with query string and fragment', () => {
+    [
+      'https://example.com/voice.mp3?token=abc&v=2',
+      'https://example.com/voice.mp3#t=10',
+      'https://example.com/voice.mp3?dl=1#t=10',
+    ].forEach((url) => expect(audio.test(url)).toBe(true));
+  });
+
+  it('skips other links', () => {
+    [
+      'https://example.com/voice.mp3.html',
+      'https://example.com/image.png?name=voice.mp3',
+      'https://example.com/voice',
+      'ftp://example.com/voice.mp3',
+      'https://example.com/my voice.mp3',
+    ].forEach((url) => expect(audio.test(url)).toBe(false));
+  });
+});
+
+describe('getSource', () => {
+  it('returns src of the audio element', () => {
+    expect(getSource(parse('<audio src="https://example.com/voice.mp3"></audio>'))).toBe('https://example.com/voice.mp3');
+  });
+
+  it('returns src of the first nested source', () => {
+    const element = parse(`<audio>
+      <source src="https://example.com/voice.ogg" type="audio/ogg">
+      <source src="https://example.com/voice.mp3" type="audio/mpeg">
+    </audio>`);
+
+    expect(getSource(element)).toBe('https://example.com/voice.ogg');
+  });
+
+  it('skips empty src attributes', () => {
+    const element = parse(`<audio src=" ">
+      <source src="">
+      <source src="https://example.com/voice.mp3">
+    </audio>`);
+
+    expect(getSource(element)).toBe('https://example.com/voice.mp3');
+  });
+
+  it('returns src of the pasted source element', () => {
+    expect(getSource(parse('<source src="https://example.com/voice.mp3?dl=1#t=10">'))).toBe('https://example.com/voice.mp3?dl=1#t=10');
+  });
+
+  it('resolves relative src', () => {
+    expect(getSource(parse('<audio src="/voice.mp3"></audio>'))).toBe(`${window.location.origin}/voice.mp3`);
+  });
+
+  it('returns null when there is no source', () => {
+    expect(getSource(parse('<audio><source></audio>'))).toBeNull();
+  });
+});
+
+describe('isDataUri', () => {
+  it('detects data: URIs', () => {
+    expect(isDataUri('data:audio/wav;base64,UklGRg==')).toBe(true);
+    expect(isDataUri('DATA:audio/mpeg;base64,AAAA')).toBe(true);
+  });
+
+  it('skips other sources', () => {
+    expect(isDataUri('https://example.com/voice.mp3')).toBe(false);
+    expect(isDataUri('blob:https://example.com/1234')).toBe(false);
+    expect(isDataUri('https://example.com/?file=data:audio/wav')).toBe(false);
+  });
+});